@@ -0,0 +1,72 @@
+import { getRequestHeaders } from '../../../../script.js';
+
+/**
+ * Who this browser session is, taken from SillyTavern's user accounts.
+ *
+ * SillyTavern answers /api/users/me for every session: with the logged-in account when
+ * accounts are enabled, and with the default user (an admin) when they are not. Persona
+ * names and avatars are not identities; anyone can pick any persona.
+ */
+
+let identity = null;
+
+/**
+ * Ask the server who is logged in. Returns { handle, name, admin }, or null when the
+ * server has no current-user endpoint or does not answer.
+ */
+export async function resolveIdentity() {
+    try {
+        const response = await fetch('/api/users/me', {
+            method: 'GET',
+            headers: getRequestHeaders()
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        identity = toAccount(await response.json());
+    } catch (error) {
+        identity = null;
+    }
+
+    return identity;
+}
+
+/**
+ * Get the account resolved by resolveIdentity(), or null
+ */
+export function getIdentity() {
+    return identity;
+}
+
+/**
+ * List every account on the server. SillyTavern only lets admins do this; for
+ * everyone else, and without accounts, this returns null.
+ */
+export async function listAccounts() {
+    try {
+        const response = await fetch('/api/users/get', {
+            method: 'POST',
+            headers: getRequestHeaders()
+        });
+        if (!response.ok) return null;
+
+        const users = await response.json();
+        return Array.isArray(users) ? users.map(toAccount) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Label an account as "Name (handle)", or just the handle when the name adds nothing
+ */
+export function formatAccount(account) {
+    if (!account.name || account.name === account.handle) return account.handle;
+    return `${account.name} (${account.handle})`;
+}
+
+function toAccount(user) {
+    const handle = String(user.handle);
+    return { handle, name: user.name || handle, admin: Boolean(user.admin) };
+}
@@ -1,25 +1,149 @@
-import { getContext, renderExtensionTemplateAsync, extension_settings as st_extension_settings } from '../../../extensions.js';
-import { eventSource, event_types, substituteParams, chat, saveSettingsDebounced, chat_metadata, saveChatDebounced, characters, this_chid } from '../../../../script.js';
+import { getContext, renderExtensionTemplateAsync, extension_settings as st_extension_settings, writeExtensionField } from '../../../extensions.js';
+import { eventSource, event_types, substituteParams, chat, saveSettingsDebounced, chat_metadata, saveChatDebounced, characters, this_chid, getRequestHeaders } from '../../../../script.js';
 import { selected_group, getGroupMembers } from '../../../group-chats.js';
 import { power_user } from '../../../power-user.js';
+import { world_info, world_names, loadWorldInfo, checkWorldInfo } from '../../../world-info.js';
+import { tags, tag_map } from '../../../tags.js';
+import { uuidv4, escapeHtml, debounce } from '../../../utils.js';
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../popup.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } from '../../../slash-commands/SlashCommandArgument.js';
+import { commonEnumProviders } from '../../../slash-commands/SlashCommandCommonEnumsProvider.js';
+import { resolveIdentity, getIdentity, listAccounts, formatAccount } from './identity.js';
 
 // Extension configuration
 const extensionName = 'sillytavern-lorebook-protection';
 const extensionFolderPath = `extensions/${extensionName}`;
 
+// Companion server plugin (see server-plugin/); localStorage is used when it is not installed
+const PLUGIN_BASE = '/api/plugins/lorebook-protection';
+
+// Settings shared by every user when the server plugin stores them
+const SHARED_SETTING_KEYS = ['settingsVersion', 'permissions', 'entryProtections', 'groups', 'accessRules', 'accessRequests', 'securityLevel', 'autoCleanup'];
+
+// Bumped whenever the stored settings shape changes; see migrateSettings()
+const SETTINGS_VERSION = 2;
+
+// prevHash of the first access log entry ever written
+const LOG_GENESIS = '0'.repeat(64);
+
+// Export file format; files from a newer major version are refused
+const EXPORT_VERSION = '2.0.0';
+
+// Passphrase-encrypted export bundles
+const ENCRYPTED_FORMAT = 'lorebook-protection-encrypted';
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Upgrades for export files, keyed by the major version they upgrade from
+const EXPORT_MIGRATIONS = {
+    // 1.x wrote settings as they were, possibly without a settingsVersion
+    1: data => ({ ...data, settings: { settingsVersion: 1, ...data.settings } })
+};
+
 // State management
-let extensionSettings = {
-    enabled: true,
-    panelPosition: 'right',
-    permissions: {},
-    accessLogs: [],
-    securityLevel: 'medium',
-    autoCleanup: true,
-    notificationEnabled: true
+let extensionSettings = getDefaultSettings();
+
+// What each security level actually enforces
+const SECURITY_POLICIES = {
+    low: {
+        label: 'Low',
+        description: 'Log only. Protected entries still activate and stay visible; non-owner use is recorded.',
+        blockActivation: false,
+        hideInEditor: false,
+        sanitizeExport: false,
+        blockExport: false,
+        confirmChanges: false
+    },
+    medium: {
+        label: 'Medium',
+        description: 'Protected entries are blocked from prompts and locked for non-owners in the World Info editor. Their exports leave protected lorebooks out, and duplicating protected characters is refused.',
+        blockActivation: true,
+        hideInEditor: true,
+        sanitizeExport: true,
+        blockExport: false,
+        confirmChanges: false
+    },
+    high: {
+        label: 'High',
+        description: 'Everything in Medium, plus export of protected characters is refused outright and grant/revoke must be re-confirmed.',
+        blockActivation: true,
+        hideInEditor: true,
+        sanitizeExport: true,
+        blockExport: true,
+        confirmChanges: true
+    }
+};
+
+// Roles a user can hold on a protected lorebook, and the actions each allows
+const ROLES = {
+    viewer: { label: 'Viewer', actions: ['activate'] },
+    editor: { label: 'Editor', actions: ['read', 'activate', 'edit'] },
+    'co-owner': { label: 'Co-owner', actions: ['read', 'activate', 'edit', 'manage'] }
+};
+
+// Grants to a user group are stored under this prefix followed by the group ID
+const GROUP_PREFIX = 'group:';
+
+// Value of the user pickers' "Other user..." entry
+const OTHER_USER_OPTION = '__other__';
+
+// Roles a tag or folder rule may hand out; managing a character always takes an explicit grant
+const RULE_ROLES = ['viewer', 'editor'];
+
+// Events emitted on SillyTavern's eventSource for other extensions; see API.md
+const LOREBOOK_EVENTS = {
+    PERMISSION_CHANGED: 'lorebook_permission_changed',
+    ACCESS_BLOCKED: 'lorebook_access_blocked'
+};
+
+const LOG_PAGE_SIZE = 50;
+const LOG_EXPORT_LIMIT = 100000;
+
+// Entries kept in the live log; past the limit the oldest are archived in batches
+const LOG_LIMIT = 1000;
+const LOG_ARCHIVE_BATCH = 100;
+
+// Signed archives kept in localStorage; older ones are downloaded, then dropped
+const LOG_ARCHIVE_LIMIT = 20;
+
+// World Info editor controls that change or copy the open book, and those on each entry
+const WORLD_EDITOR_BOOK_BUTTONS = '#world_popup_new, #world_popup_name_button, #world_popup_export, #world_duplicate, #world_popup_delete, #world_backfill_memos, #world_apply_current_sorting';
+const WORLD_EDITOR_ENTRY_BUTTONS = '.delete_entry_button, .duplicate_entry_button, .move_entry_button, .killSwitch';
+
+const POLICY_FEATURES = {
+    blockActivation: 'Block prompt activation',
+    hideInEditor: 'Lock books in World Info editor',
+    sanitizeExport: 'Strip protected books from exports, refuse duplicates',
+    blockExport: 'Refuse character export',
+    confirmChanges: 'Re-confirm grant / revoke'
 };
 
 let serverName = 'SillyTavern';
 let $panelContainer = null;
+let blockedThisGeneration = new Set();
+let usedThisGeneration = new Set();
+let isDryRunGeneration = false;
+let generationRunning = false;
+let simulation = null;
+let logChain = Promise.resolve();
+let localSaveFailed = false;
+let archivePending = false;
+let bulkSelection = new Set();
+let bulkUndo = null;
+let lastEditorWorld = null;
+let knownAccounts = [];
+let permissionSnapshot = null;
+
+// Server plugin state
+let serverStorage = false;
+let serverRevision = 0;
+let serverUser = null;
+let lastSyncedShared = null;
+const pushServerSettingsDebounced = debounce(pushServerSettings, 1000);
+const updateLogDisplayDebounced = debounce(updateLogDisplay, 250);
+const renderLogViewerDebounced = debounce($viewer => renderLogViewer($viewer), 250);
 
 /**
  * Initialize the extension
@@ -30,6 +154,12 @@ async function initExtension() {
     try {
         // Load settings
         loadSettings();
+        await resolveIdentity();
+        await connectServerPlugin();
+        await sealLocalLogs();
+        cleanupExpiredGrants();
+        migrateCharacterIds();
+        syncProtectedLorebooks();
         
         // Detect server name
         serverName = detectServerName();
@@ -43,6 +173,16 @@ async function initExtension() {
         
         // Register event listeners
         registerEventListeners();
+        registerSlashCommands();
+
+        if (!getIdentity() && !serverUser) {
+            showNotification('Could not tell which SillyTavern account you are logged in as; your actions are recorded as "unknown"', 'warning');
+        }
+
+        const unlinked = getUnlinkedRecords();
+        if (unlinked.length > 0) {
+            showNotification(`${unlinked.length} protected record${unlinked.length === 1 ? '' : 's'} no longer match a character. Use "Unlinked Records" to relink or purge them.`, 'warning');
+        }
         
         console.log(`[${extensionName}] Extension initialized successfully`);
     } catch (error) {
@@ -97,6 +237,52 @@ function detectServerName() {
     }
 }
 
+/**
+ * Get a fresh copy of the default settings
+ */
+function getDefaultSettings() {
+    return {
+        settingsVersion: SETTINGS_VERSION,
+        enabled: true,
+        panelPosition: 'right',
+        permissions: {},
+        entryProtections: {},
+        groups: {},
+        accessRules: [],
+        accessRequests: [],
+        accessLogs: [],
+        logChainHead: LOG_GENESIS,
+        logAnchor: LOG_GENESIS,
+        logArchives: [],
+        securityLevel: 'medium',
+        autoCleanup: true,
+        notificationEnabled: true
+    };
+}
+
+/**
+ * Upgrade settings saved by older versions to the current shape
+ */
+function migrateSettings(settings) {
+    const version = settings.settingsVersion || 1;
+
+    // v1 -> v2: flat allowedUsers arrays become role-based grants
+    if (version < 2) {
+        Object.values(settings.permissions || {}).forEach(record => {
+            if (!record.grants) {
+                record.grants = {};
+                (record.allowedUsers || []).forEach(userId => {
+                    record.grants[userId] = { role: 'viewer', granted: record.created || new Date().toISOString() };
+                });
+            }
+            delete record.allowedUsers;
+        });
+    }
+
+    settings.settingsVersion = SETTINGS_VERSION;
+    return settings;
+}
+
 /**
  * Load extension settings from localStorage
  */
@@ -104,25 +290,220 @@ function loadSettings() {
     try {
         const saved = localStorage.getItem(`${extensionName}_settings`);
         if (saved) {
-            extensionSettings = { ...extensionSettings, ...JSON.parse(saved) };
+            extensionSettings = migrateSettings({ ...extensionSettings, settingsVersion: 1, ...JSON.parse(saved) });
         }
     } catch (error) {
         console.error(`[${extensionName}] Error loading settings:`, error);
     }
 }
 
+/**
+ * Write the settings to localStorage. A failure, usually a full quota, means changes
+ * no longer survive a reload, so it is shown once even with notifications turned off.
+ */
+function saveLocalSettings() {
+    try {
+        localStorage.setItem(`${extensionName}_settings`, JSON.stringify(serverStorage ? getLocalSettings() : extensionSettings));
+        localSaveFailed = false;
+    } catch (error) {
+        console.error(`[${extensionName}] Error writing settings to localStorage:`, error);
+        if (!localSaveFailed) {
+            toastr.error(`Lorebook Protection could not save its settings (${escapeHtml(error.message)}). Export your settings and download or clear old access log archives.`, 'Settings not saved', { timeOut: 0, extendedTimeOut: 0 });
+        }
+        localSaveFailed = true;
+    }
+}
+
 /**
  * Save extension settings to localStorage
  */
 function saveSettings() {
     try {
-        localStorage.setItem(`${extensionName}_settings`, JSON.stringify(extensionSettings));
+        saveLocalSettings();
         saveSettingsDebounced();
+        emitPermissionChanges('local');
+
+        if (serverStorage) {
+            pushServerSettingsDebounced();
+        }
     } catch (error) {
         console.error(`[${extensionName}] Error saving settings:`, error);
     }
 }
 
+/**
+ * Get the settings that are shared through the server plugin
+ */
+function getSharedSettings() {
+    return Object.fromEntries(SHARED_SETTING_KEYS.map(key => [key, extensionSettings[key]]));
+}
+
+/**
+ * Get the per-browser settings kept in localStorage while the server plugin is in use
+ */
+function getLocalSettings() {
+    const local = { ...extensionSettings };
+    SHARED_SETTING_KEYS.forEach(key => delete local[key]);
+    delete local.accessLogs;
+    return local;
+}
+
+/**
+ * Call the server plugin, throwing with the server's message on failure
+ */
+async function pluginRequest(method, endpoint, body) {
+    const response = await fetch(`${PLUGIN_BASE}${endpoint}`, {
+        method,
+        headers: getRequestHeaders(),
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.details?.[0] || data.error || `${method} ${endpoint} failed with ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Switch to server storage when the companion plugin is installed
+ */
+async function connectServerPlugin() {
+    try {
+        const ping = await pluginRequest('GET', '/ping');
+        serverUser = ping.user || null;
+        serverStorage = true;
+    } catch (error) {
+        console.log(`[${extensionName}] Server plugin not available, using localStorage`);
+        return;
+    }
+
+    // Local data from before the plugin was installed seeds an empty server store
+    const localShared = getSharedSettings();
+    await pullServerSettings();
+
+    if (serverRevision === 0 && Object.keys(localShared.permissions || {}).length > 0) {
+        console.log(`[${extensionName}] Uploading local permissions to the server plugin`);
+        Object.assign(extensionSettings, localShared);
+        await pushServerSettings();
+    }
+
+    console.log(`[${extensionName}] Using server plugin storage as ${serverUser?.handle}`);
+}
+
+/**
+ * Ask the server plugin to repair lorebook symlinks and report what it changed
+ */
+async function reconcileLorebookLinks() {
+    if (!serverStorage) {
+        showNotification('Lorebook links need the server plugin', 'error');
+        return;
+    }
+
+    try {
+        const { report, summary } = await pluginRequest('POST', '/symlinks/reconcile');
+        console.log(`[${extensionName}] Reconcile report:`, report);
+
+        showNotification(`Lorebook links reconciled: ${summary}`, report.errors.length > 0 ? 'warning' : 'success');
+        logAccessAttempt('system', `Reconciled lorebook links: ${summary}`, 'admin');
+    } catch (error) {
+        console.error(`[${extensionName}] Error reconciling links:`, error);
+        showNotification(`Reconcile failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Load shared settings and logs from the server plugin
+ */
+async function pullServerSettings() {
+    if (!serverStorage) return;
+
+    // Send any change still waiting on the debounce so it is not overwritten
+    if (lastSyncedShared !== null && JSON.stringify(getSharedSettings()) !== lastSyncedShared) {
+        await pushServerSettings();
+    }
+
+    try {
+        const store = await pluginRequest('GET', '/permissions');
+        const shared = Object.fromEntries(SHARED_SETTING_KEYS
+            .filter(key => store.data?.[key] !== undefined && store.data[key] !== null)
+            .map(key => [key, store.data[key]]));
+
+        extensionSettings = migrateSettings({ ...extensionSettings, settingsVersion: 1, ...shared });
+        serverRevision = store.revision || 0;
+        lastSyncedShared = JSON.stringify(getSharedSettings());
+
+        const { logs } = await pluginRequest('GET', '/logs');
+        extensionSettings.accessLogs = logs || [];
+        emitPermissionChanges('server');
+    } catch (error) {
+        console.error(`[${extensionName}] Error loading settings from server:`, error);
+    }
+}
+
+/**
+ * Send changed shared settings to the server plugin. Resolves to false when the server
+ * rejected them and the server's copy was reloaded instead.
+ */
+async function pushServerSettings() {
+    if (!serverStorage) return true;
+
+    const shared = JSON.stringify(getSharedSettings());
+    if (shared === lastSyncedShared) return true;
+
+    try {
+        const result = await pluginRequest('PUT', '/permissions', { data: JSON.parse(shared), revision: serverRevision });
+        serverRevision = result.revision;
+        lastSyncedShared = shared;
+        return true;
+    } catch (error) {
+        console.error(`[${extensionName}] Error saving settings to server:`, error);
+
+        if (error.status === 409) {
+            showNotification('Permissions were changed by someone else and have been reloaded', 'warning');
+        } else {
+            showNotification(`Change rejected by the server: ${error.message}`, 'error');
+        }
+
+        // The server copy is authoritative; drop the local change
+        lastSyncedShared = null;
+        await pullServerSettings();
+        refreshDisplays();
+        return false;
+    }
+}
+
+/**
+ * Tell other extensions which characters' access may have changed since the last call.
+ * A change to user groups or tag and folder rules may affect every protected character.
+ */
+function emitPermissionChanges(source) {
+    const records = Object.fromEntries(Object.entries(extensionSettings.permissions)
+        .map(([characterId, record]) => [characterId, getRecordSnapshot(record)]));
+    const shared = JSON.stringify([extensionSettings.groups, extensionSettings.accessRules]);
+
+    const previous = permissionSnapshot;
+    permissionSnapshot = { records, shared };
+    if (!previous) return;
+
+    const characterIds = [...new Set([...Object.keys(previous.records), ...Object.keys(records)])]
+        .filter(characterId => previous.shared !== shared || previous.records[characterId] !== records[characterId]);
+    if (characterIds.length === 0) return;
+
+    eventSource.emit(LOREBOOK_EVENTS.PERMISSION_CHANGED, { characterIds, source, user: getCurrentUserId() });
+}
+
+/**
+ * Serialize what decides access in a record; generation counts only matter once a quota runs out
+ */
+function getRecordSnapshot(record) {
+    const grants = Object.fromEntries(Object.entries(record.grants || {})
+        .map(([grantee, { uses, ...grant }]) => [grantee, { ...grant, active: isGrantActive({ uses, ...grant }) }]));
+    return JSON.stringify({ ...record, grants });
+}
+
 /**
  * Add extension settings to the Extensions tab
  */
@@ -155,6 +536,9 @@ function addExtensionSettings() {
                     <button id="${extensionName}-open-panel" class="menu_button" style="flex: 1;">
                         <i class="fa-solid fa-shield-halved"></i> Open Admin Panel
                     </button>
+                    <button id="${extensionName}-open-modal" class="menu_button" style="flex: 1;">
+                        <i class="fa-solid fa-window-maximize"></i> Open Admin Window
+                    </button>
                     <button id="${extensionName}-export-permissions" class="menu_button" style="flex: 1;">
                         <i class="fa-solid fa-download"></i> Export Data
                     </button>
@@ -181,6 +565,9 @@ function addExtensionSettings() {
     $(`#${extensionName}-security-level`).val(extensionSettings.securityLevel).on('change', function() {
         extensionSettings.securityLevel = $(this).val();
         saveSettings();
+        syncSettingsControls();
+        updatePolicyDisplay();
+        applyWorldEditorPolicy();
         showNotification(`Security level set to ${$(this).val()}`, 'info');
     });
 
@@ -192,6 +579,14 @@ function addExtensionSettings() {
         }
     });
 
+    $(`#${extensionName}-open-modal`).on('click', function() {
+        if (extensionSettings.enabled) {
+            showPermissionModal();
+        } else {
+            showNotification('Please enable Lorebook Protection first', 'warning');
+        }
+    });
+
     $(`#${extensionName}-export-permissions`).on('click', exportPermissionData);
 }
 
@@ -213,8 +608,43 @@ async function initUI() {
 
     // Initialize UI state
     updatePanelVisibility();
-    updatePermissionList();
+    refreshDisplays();
+    notifyResolvedRequests();
     updateDynamicTitles();
+    updateIdentityDisplay();
+    refreshKnownAccounts();
+
+    // Enforce the security policy on SillyTavern's own UI
+    observeWorldEditor();
+    observeGroupMembers();
+    document.addEventListener('click', onProtectedActionClick, true);
+}
+
+/**
+ * Show which account the panel acts as
+ */
+function updateIdentityDisplay() {
+    const identity = getIdentity();
+    const label = identity ? formatAccount(identity) : getCurrentUserId();
+    $('#lorebook-identity').text(`Signed in as ${label}${isAdmin() ? ' · admin' : ''}`);
+}
+
+/**
+ * Re-render every view that depends on stored settings
+ */
+function refreshDisplays() {
+    syncSettingsControls();
+    $('#lorebook-reconcile-links').toggle(serverStorage && isAdmin());
+    $('#lorebook-backfill-owners').toggle(!serverStorage || isAdmin());
+    updateGroupList();
+    updatePermissionList();
+    updateUserPickers();
+    updateEntryProtectionList();
+    updateAccessRuleList();
+    updateRequestList();
+    updateRequestAccessButton();
+    updateLogDisplay();
+    updatePolicyDisplay();
 }
 
 /**
@@ -224,16 +654,66 @@ function setupUIEventListeners() {
     // Panel close button
     $('#lorebook-close-panel').on('click', closePanel);
 
+    // Modal: closing, tabs, grant/revoke, logs and settings
+    $('#lorebook-protection-modal').on('click', '.modal-backdrop, .modal-close', hidePermissionModal);
+    $(document).on('keydown', function(event) {
+        if (event.key === 'Escape' && !$('#lorebook-protection-modal').hasClass('hidden')) {
+            hidePermissionModal();
+        }
+    });
+    $('#lorebook-protection-modal').on('click', '.tab-btn', function() {
+        switchModalTab($(this).data('tab'));
+    });
+    $('#modal-grant-permission').on('click', () => grantFromForm('modal'));
+    $('#modal-revoke-permission').on('click', () => revokeFromForm('modal'));
+    $('#modal-transfer-ownership').on('click', () => transferFromForm('modal'));
+    $('#modal-refresh-logs').on('click', updateLogDisplay);
+    $('#modal-verify-logs').on('click', verifyLogIntegrity);
+    $('#modal-clear-logs').on('click', clearAccessLogs);
+    $('#modal-save-settings').on('click', saveModalSettings);
+
     // Permission management buttons
-    $('#lorebook-grant-permission').on('click', grantPermission);
-    $('#lorebook-revoke-permission').on('click', revokePermission);
+    $('#lorebook-grant-permission').on('click', () => grantFromForm());
+    $('#lorebook-revoke-permission').on('click', () => revokeFromForm());
+    $('#lorebook-transfer-ownership').on('click', () => transferFromForm());
+    $('#lorebook-request-access').on('click', requestAccess);
+    $('#lorebook-character-select').on('change', updateRequestAccessButton);
+
+    // Access requests
+    $(document).on('click', '.lorebook-approve-request', function() {
+        const $item = $(this).closest('.access-request-item');
+        resolveAccessRequest($item.data('request-id'), true, $item.find('.lorebook-request-role').val());
+    });
+    $(document).on('click', '.lorebook-deny-request', function() {
+        resolveAccessRequest($(this).closest('.access-request-item').data('request-id'), false);
+    });
     $('#lorebook-clear-logs').on('click', clearAccessLogs);
+    $('#lorebook-verify-logs').on('click', verifyLogIntegrity);
+
+    // Log viewers: any filter change goes back to the newest page
+    $(document).on('input change', '.log-viewer .log-filter', function() {
+        const $viewer = $(this).closest('.log-viewer');
+        $viewer.data('page', 0);
+        renderLogViewerDebounced($viewer);
+    });
+    $(document).on('click', '.log-viewer .log-page-prev, .log-viewer .log-page-next', function() {
+        const $viewer = $(this).closest('.log-viewer');
+        const step = $(this).hasClass('log-page-next') ? 1 : -1;
+        $viewer.data('page', Math.max(0, (Number($viewer.data('page')) || 0) + step));
+        renderLogViewer($viewer);
+    });
+    $(document).on('click', '.log-viewer .log-export', function() {
+        exportFilteredLogs($(this).closest('.log-viewer'), $(this).data('format'));
+    });
     $('#lorebook-refresh-list').on('click', updatePermissionList);
 
     // Settings buttons
     $('#lorebook-export-data').on('click', exportPermissionData);
     $('#lorebook-import-data').on('click', importPermissionData);
     $('#lorebook-reset-settings').on('click', resetSettings);
+    $('#lorebook-reconcile-links').on('click', reconcileLorebookLinks);
+    $('#lorebook-backfill-owners').on('click', showOwnerBackfillWizard);
+    $('#lorebook-unlinked-records').on('click', showUnlinkedRecords);
 
     // Filter and search
     $('#lorebook-search-characters').on('input', filterCharacterList);
@@ -243,6 +723,90 @@ function setupUIEventListeners() {
     $(document).on('click', '.lorebook-character-item', function() {
         selectCharacter($(this).data('character-id'));
     });
+
+    // Bulk operations on checked characters
+    $(document).on('click', '.lorebook-bulk-select', function(event) {
+        event.stopPropagation();
+        const characterId = String($(this).closest('.lorebook-character-item').data('character-id'));
+        if ($(this).prop('checked')) {
+            bulkSelection.add(characterId);
+        } else {
+            bulkSelection.delete(characterId);
+        }
+        updateBulkControls();
+    });
+    $('#lorebook-bulk-select-all').on('change', function() {
+        selectAllShown($(this).prop('checked'));
+    });
+    $('#lorebook-bulk-action').on('change', updateBulkControls);
+    $('#lorebook-bulk-apply').on('click', applyBulkAction);
+    $('#lorebook-bulk-undo').on('click', undoBulkAction);
+
+    // Entry-level protection
+    $('#lorebook-add-entry-rule').on('click', addEntryProtection);
+
+    // Access simulator
+    $('#lorebook-sim-run').on('click', runAccessSimulation);
+    $(document).on('click', '.lorebook-remove-entry-rule', function() {
+        removeEntryProtection($(this).data('world'), $(this).data('rule-id'));
+    });
+
+    // Tag and folder rules
+    $('#lorebook-rule-effect').on('change', updateAccessRuleList);
+    $('#lorebook-add-access-rule').on('click', addAccessRule);
+    $(document).on('click', '.lorebook-remove-access-rule', function() {
+        removeAccessRule($(this).data('rule-id'));
+    });
+
+    // Load a grant into the form to edit its role
+    $(document).on('click', '.lorebook-character-item .user-tag', function() {
+        const grantee = String($(this).data('user-id'));
+        if ($(this).closest('#modal-permissions-list').length > 0) {
+            // The modal's form only takes user IDs
+            if (!grantee.startsWith(GROUP_PREFIX)) {
+                selectUser($('#modal-user-select'), grantee);
+            }
+            $('#modal-role-select').val($(this).data('role'));
+            return;
+        }
+
+        if (grantee.startsWith(GROUP_PREFIX)) {
+            $('#lorebook-grantee-type').val('group').trigger('change');
+            $('#lorebook-group-select').val(grantee.slice(GROUP_PREFIX.length));
+        } else {
+            $('#lorebook-grantee-type').val('user').trigger('change');
+            selectUser($('#lorebook-user-select'), grantee);
+        }
+        $('#lorebook-role-select').val($(this).data('role'));
+    });
+
+    // Grantee type switches between the user picker and the group picker
+    $('#lorebook-grantee-type').on('change', function() {
+        const isGroup = $(this).val() === 'group';
+        $('#lorebook-user-select').toggle(!isGroup);
+        $('#lorebook-group-select').toggle(isGroup);
+    }).trigger('change');
+    $('#lorebook-user-select, #modal-user-select, #lorebook-sim-user').on('change', function() {
+        if ($(this).val() === OTHER_USER_OPTION) {
+            pickOtherUser($(this));
+        }
+    });
+
+    // User groups
+    $('#lorebook-create-group').on('click', createGroup);
+    $(document).on('click', '.lorebook-rename-group', function() {
+        renameGroup($(this).closest('.lorebook-group-item').data('group-id'));
+    });
+    $(document).on('click', '.lorebook-delete-group', function() {
+        deleteGroup($(this).closest('.lorebook-group-item').data('group-id'));
+    });
+    $(document).on('click', '.lorebook-add-member', function() {
+        const $item = $(this).closest('.lorebook-group-item');
+        addGroupMember($item.data('group-id'), $item.find('.lorebook-member-input').val().trim());
+    });
+    $(document).on('click', '.lorebook-remove-member', function() {
+        removeGroupMember($(this).closest('.lorebook-group-item').data('group-id'), String($(this).data('user-id')));
+    });
 }
 
 /**
@@ -254,313 +818,3947 @@ function registerEventListeners() {
     
     // Chat loaded event
     eventSource.on(event_types.CHAT_LOADED, onChatLoaded);
+
+    // Character selected
+    eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    eventSource.on(event_types.CHAT_CHANGED, updateGroupMemberBadges);
+    if (event_types.GROUP_UPDATED) {
+        eventSource.on(event_types.GROUP_UPDATED, updateGroupMemberBadges);
+    }
     
     // Message sent event
     eventSource.on(event_types.MESSAGE_SENT, onMessageSent);
+
+    // Keep records attached to their cards
+    if (event_types.CHARACTER_RENAMED) {
+        eventSource.on(event_types.CHARACTER_RENAMED, onCharacterRenamed);
+    }
+    if (event_types.CHARACTER_DUPLICATED) {
+        eventSource.on(event_types.CHARACTER_DUPLICATED, onCharacterDuplicated);
+    }
+
+    // World info enforcement during prompt generation
+    eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
+    [event_types.GENERATION_ENDED, event_types.GENERATION_STOPPED].filter(Boolean).forEach(type => {
+        eventSource.on(type, onGenerationEnded);
+    });
+    if (event_types.WORLDINFO_ENTRIES_LOADED) {
+        eventSource.on(event_types.WORLDINFO_ENTRIES_LOADED, onWorldInfoEntriesLoaded);
+    } else {
+        console.warn(`[${extensionName}] WORLDINFO_ENTRIES_LOADED is not available; protected entries cannot be filtered on this SillyTavern version`);
+    }
+    eventSource.on(event_types.WORLD_INFO_ACTIVATED, onWorldInfoActivated);
 }
 
 /**
- * Event handlers
+ * Register the /lbp-* slash commands for scripting with Quick Replies and STscript
  */
-function onCharacterChanged(data) {
-    console.log(`[${extensionName}] Character changed:`, data);
-    updatePermissionList();
-}
+function registerSlashCommands() {
+    const characterArgument = (isRequired = true) => SlashCommandNamedArgument.fromProps({
+        name: 'char',
+        description: 'character name or ID',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired,
+        enumProvider: commonEnumProviders.characters('character')
+    });
+    const userArgument = SlashCommandNamedArgument.fromProps({
+        name: 'user',
+        description: 'user ID, or @group name',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: true
+    });
 
-function onChatLoaded(data) {
-    console.log(`[${extensionName}] Chat loaded:`, data);
-    updatePermissionList();
-}
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'lbp-grant',
+        callback: (args) => {
+            const characterId = resolveCharacterId(args.char);
+            const grantee = resolveGrantee(args.user);
+            if (!characterId) return `Unknown character: ${args.char}`;
+            if (!grantee) return `Unknown user or group: ${args.user}`;
 
-function onMessageSent(data) {
-    // Log access attempts
-    logAccessAttempt(data.character, data.message, 'sent');
+            const expires = args.expires ? parseExpiry(args.expires) : null;
+            if (args.expires && !expires) return `Invalid expiry: ${args.expires}`;
+
+            return grantPermission(characterId, grantee, {
+                role: args.role || 'viewer',
+                expires,
+                maxUses: args.uses ? parseInt(args.uses, 10) : null
+            }).message;
+        },
+        namedArgumentList: [
+            characterArgument(),
+            userArgument,
+            SlashCommandNamedArgument.fromProps({
+                name: 'role',
+                description: 'role to grant',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'viewer',
+                enumList: Object.keys(ROLES)
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'expires',
+                description: 'date and time, or a duration such as 12h or 7d',
+                typeList: [ARGUMENT_TYPE.STRING]
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'uses',
+                description: 'number of generations the grant lasts',
+                typeList: [ARGUMENT_TYPE.NUMBER]
+            })
+        ],
+        returns: 'result message',
+        helpString: 'Grant a role on a protected character. Example: <code>/lbp-grant char=Alice user=bob role=editor expires=7d</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'lbp-revoke',
+        callback: (args) => {
+            const characterId = resolveCharacterId(args.char);
+            const grantee = resolveGrantee(args.user);
+            if (!characterId) return `Unknown character: ${args.char}`;
+            if (!grantee) return `Unknown user or group: ${args.user}`;
+
+            return revokePermission(characterId, grantee).message;
+        },
+        namedArgumentList: [characterArgument(), userArgument],
+        returns: 'result message',
+        helpString: 'Revoke a user\'s or group\'s grant. Example: <code>/lbp-revoke char=Alice user=bob</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'lbp-transfer',
+        callback: (args) => {
+            const characterId = resolveCharacterId(args.char);
+            if (!characterId) return `Unknown character: ${args.char}`;
+
+            return transferOwnership(characterId, String(args.user || '').trim()).message;
+        },
+        namedArgumentList: [characterArgument(), userArgument],
+        returns: 'result message',
+        helpString: 'Make another user the owner of a protected character. Example: <code>/lbp-transfer char=Alice user=bob</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'lbp-list',
+        callback: (args, value) => {
+            const name = args.char || String(value || '').trim();
+            if (!name) {
+                const ids = Object.keys(extensionSettings.permissions);
+                return ids.length > 0 ? ids.map(describePermissionRecord).join('\n') : 'No protected characters';
+            }
+
+            const characterId = resolveCharacterId(name);
+            if (!characterId) return `Unknown character: ${name}`;
+            return extensionSettings.permissions[characterId] ? describePermissionRecord(characterId) : `${characterId} is not protected`;
+        },
+        namedArgumentList: [characterArgument(false)],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'character name or ID',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: commonEnumProviders.characters('character')
+            })
+        ],
+        returns: 'one line per protected character',
+        helpString: 'List protected characters with their owners and grants, or only the given character.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'lbp-check',
+        callback: (args, value) => {
+            // Positional form: /lbp-check <char> <user> [action]
+            const [charArg, userArg, actionArg] = String(value || '').trim().split(/\s+/);
+            const name = args.char || charArg;
+            const userId = args.user || userArg || getCurrentUserId();
+            const action = args.action || actionArg || 'activate';
+
+            const characterId = resolveCharacterId(name);
+            if (!characterId) return `Unknown character: ${name}`;
+
+            // Unprotected characters are open to everyone, as in the extension API
+            if (!extensionSettings.permissions[characterId]) return 'true';
+            return String(checkPermission(characterId, userId, action));
+        },
+        namedArgumentList: [
+            characterArgument(false),
+            SlashCommandNamedArgument.fromProps({
+                name: 'user',
+                description: 'user ID, defaults to the current user',
+                typeList: [ARGUMENT_TYPE.STRING]
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'action',
+                description: 'action to check',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'activate',
+                enumList: ['read', 'activate', 'edit', 'manage']
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'character, user and action separated by spaces',
+                typeList: [ARGUMENT_TYPE.STRING]
+            })
+        ],
+        returns: 'true or false',
+        helpString: 'Check whether a user may use a character\'s lorebook. Example: <code>/lbp-check Alice bob | /echo</code>'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'lbp-log',
+        callback: (args, value) => {
+            const count = Math.max(1, parseInt(value, 10) || 10);
+            const logs = extensionSettings.accessLogs.slice(0, count);
+            if (logs.length === 0) return 'No access logs';
+
+            return logs.map(log =>
+                `${new Date(log.timestamp).toLocaleString()} [${log.type}] ${log.user || 'unknown'} ${log.characterId}: ${log.action}`
+            ).join('\n');
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'number of entries',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: '10'
+            })
+        ],
+        returns: 'one line per log entry, newest first',
+        helpString: 'Show the most recent access log entries. Example: <code>/lbp-log 20 | /echo</code>'
+    }));
 }
 
 /**
- * Show the permission management modal
+ * Turn a character name or ID from a command into a permission record key
  */
-function showPermissionModal() {
-    $('#lorebook-protection-modal').removeClass('hidden');
-    updatePermissionList();
+function resolveCharacterId(value) {
+    const name = String(value || '').trim();
+    if (!name) return null;
+    if (extensionSettings.permissions[name] || findCharacterByKey(name)) return name;
+
+    const character = (getContext().characters || []).find(c => c.name?.toLowerCase() === name.toLowerCase());
+    return character ? getCharacterKey(character) : null;
 }
 
 /**
- * Hide the permission management modal
+ * Turn a user ID or @group name from a command into a grantee
  */
-function hidePermissionModal() {
-    $('#lorebook-protection-modal').addClass('hidden');
+function resolveGrantee(value) {
+    const name = String(value || '').trim();
+    if (!name.startsWith('@')) return name || null;
+
+    const entry = Object.entries(extensionSettings.groups).find(([, group]) => group.name === name.slice(1));
+    return entry ? `${GROUP_PREFIX}${entry[0]}` : null;
 }
 
 /**
- * Open the admin panel
+ * Parse an expiry given as a duration (30m, 12h, 7d) or a date, returning an ISO timestamp
  */
-function openPanel() {
-    $panelContainer.addClass('expanded');
-    updatePermissionList();
+function parseExpiry(value) {
+    const duration = String(value).trim().match(/^(\d+)([mhd])$/i);
+    if (duration) {
+        const unit = { m: 60000, h: 3600000, d: 86400000 }[duration[2].toLowerCase()];
+        return new Date(Date.now() + parseInt(duration[1], 10) * unit).toISOString();
+    }
+
+    const time = Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString();
 }
 
 /**
- * Close the admin panel
+ * One line describing a permission record: owner and grants
  */
-function closePanel() {
-    $panelContainer.removeClass('expanded');
+function describePermissionRecord(characterId) {
+    const record = extensionSettings.permissions[characterId];
+    const grants = Object.entries(record.grants || {})
+        .map(([grantee, grant]) => `${getGranteeLabel(grantee)} (${grant.role}${isGrantActive(grant) ? '' : ', inactive'})`);
+    return `${characterId} - owner ${record.owner || 'not set'}: ${grants.length > 0 ? grants.join(', ') : 'no grants'}`;
 }
 
 /**
- * Update panel visibility based on settings
+ * Event handlers
  */
-function updatePanelVisibility() {
-    if (extensionSettings.enabled) {
-        $panelContainer.removeClass('hidden');
-    } else {
-        $panelContainer.addClass('hidden');
-    }
+function onCharacterChanged(data) {
+    console.log(`[${extensionName}] Character changed:`, data);
+    migrateCharacterIds();
+    syncProtectedLorebooks();
+    updatePermissionList();
 }
 
-/**
- * Grant permission to a user
- */
-function grantPermission() {
-    const characterId = $('#lorebook-character-select').val();
-    const userId = $('#lorebook-user-input').val().trim();
-    
-    if (!characterId) {
-        showNotification('Please select a character', 'error');
-        return;
+function onCharacterRenamed(oldAvatar, newAvatar) {
+    let changed = false;
+    Object.values(extensionSettings.permissions).forEach(record => {
+        if (record.avatar === oldAvatar && canChangeRecordScope(record)) {
+            record.avatar = newAvatar;
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        saveSettings();
     }
-    
-    if (!userId) {
-        showNotification('Please enter a user ID', 'error');
+    updatePermissionList();
+}
+
+function onCharacterDuplicated() {
+    // The copy carries the original's ID; migrateCharacterIds() gives it its own
+    migrateCharacterIds();
+    updatePermissionList();
+}
+
+async function onChatLoaded(data) {
+    console.log(`[${extensionName}] Chat loaded:`, data);
+    await pullServerSettings();
+    cleanupExpiredGrants();
+    syncProtectedLorebooks();
+    notifyResolvedRequests();
+    updatePermissionList();
+    updateRequestList();
+}
+
+function onChatChanged() {
+    const character = characters[this_chid];
+    if (!extensionSettings.enabled || !character) return;
+
+    const characterId = getCharacterKey(character);
+    const userId = getCurrentUserId();
+    if (!extensionSettings.permissions[characterId] || checkPermission(characterId, userId, 'activate')) return;
+
+    // Preselect the character so the request action is one click away
+    selectCharacter(characterId);
+
+    if (!getPendingRequest(characterId, userId)) {
+        showNotification(`${character.name}'s lorebook is protected. Use "Request Access" in the admin panel to ask the owner.`, 'warning');
+    }
+}
+
+function onMessageSent(data) {
+    // Log access attempts
+    logAccessAttempt(data.character, data.message, 'sent');
+}
+
+async function onGenerationStarted(type, params, dryRun) {
+    // SillyTavern awaits this event, so a generation waits here while a simulation
+    // filters world info for its simulated user instead of the real one
+    while (simulation) {
+        await simulation.finished;
+    }
+
+    blockedThisGeneration = new Set();
+    usedThisGeneration = new Set();
+    isDryRunGeneration = Boolean(dryRun);
+    generationRunning = generationRunning || !dryRun;
+}
+
+function onGenerationEnded() {
+    generationRunning = false;
+}
+
+/**
+ * Strip entries of protected lorebooks before SillyTavern scans them.
+ * The event passes the loaded entry arrays by reference, so they are filtered in place.
+ */
+function onWorldInfoEntriesLoaded(lore) {
+    if (!extensionSettings.enabled || !lore) return;
+
+    if (simulation) {
+        filterSimulatedEntries(lore);
+        return;
+    }
+
+    const protectedWorlds = getProtectedWorlds();
+    if (protectedWorlds.size === 0 && Object.keys(extensionSettings.entryProtections).length === 0) return;
+
+    const userId = getCurrentUserId();
+    const policy = getSecurityPolicy();
+    const memberWorlds = getGroupMemberWorlds();
+    const suppressed = new Map();
+
+    ['globalLore', 'characterLore', 'chatLore', 'personaLore'].forEach(key => {
+        const entries = lore[key];
+        if (!Array.isArray(entries)) return;
+
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const entry = entries[i];
+
+            // In group chats, every member linking the book must allow it
+            const members = memberWorlds.get(entry.world) || [];
+            const deniedBy = members.filter(memberId => !checkPermission(memberId, userId, 'activate'));
+            const characterId = deniedBy.length > 0 ? deniedBy[0] : getEntryDenial(entry, protectedWorlds, userId);
+
+            if (characterId === null) {
+                if (members.length > 0) {
+                    members.forEach(memberId => recordGrantUse(memberId, userId));
+                } else if (protectedWorlds.has(entry.world)) {
+                    recordGrantUse(protectedWorlds.get(entry.world), userId);
+                }
+                continue;
+            }
+
+            if (policy.blockActivation) {
+                entries.splice(i, 1);
+            }
+
+            if (deniedBy.length > 0) {
+                // Entries are walked backwards; prepend to keep them in lorebook order
+                deniedBy.forEach(memberId => suppressed.set(memberId, [entry, ...(suppressed.get(memberId) || [])]));
+            } else {
+                logBlockedEntry(characterId, entry, userId, policy.blockActivation);
+            }
+        }
+    });
+
+    logGroupSuppressions(suppressed, userId, policy.blockActivation);
+}
+
+/**
+ * Map every lorebook of the current group chat's protected members to those members' keys
+ */
+function getGroupMemberWorlds() {
+    const worlds = new Map();
+    if (!selected_group) return worlds;
+
+    getGroupMembers().forEach(member => {
+        const characterId = getCharacterKey(member);
+        if (!extensionSettings.permissions[characterId]) return;
+
+        getCharacterWorlds(member).forEach(world => worlds.set(world, [...(worlds.get(world) || []), characterId]));
+    });
+
+    return worlds;
+}
+
+/**
+ * Write one log entry per group member whose entries were kept out of this generation
+ */
+function logGroupSuppressions(suppressed, userId, blocked = true) {
+    const groupName = getContext().groups?.find(group => group.id === selected_group)?.name || selected_group;
+
+    suppressed.forEach((entries, characterId) => {
+        const blockKey = `${GROUP_PREFIX}${characterId}`;
+        if (blockedThisGeneration.has(blockKey)) return;
+        blockedThisGeneration.add(blockKey);
+
+        const memberName = getCharacterName(characterId);
+        const labels = entries.slice(0, 5).map(entry => `"${getEntryLabel(entry)}"`).join(', ');
+        const more = entries.length > 5 ? ` and ${entries.length - 5} more` : '';
+        const count = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+
+        if (blocked) {
+            logAccessAttempt(characterId, `Suppressed ${count} of ${memberName} in group chat "${groupName}" for ${userId}: ${labels}${more}`, 'blocked');
+        } else {
+            logAccessAttempt(characterId, `Protected ${count} of ${memberName} used in group chat "${groupName}" by ${userId} (log only): ${labels}${more}`, 'access');
+        }
+    });
+}
+
+/**
+ * Show on each member of SillyTavern's group lists whether the current user may use its lorebooks
+ */
+function updateGroupMemberBadges() {
+    const userId = getCurrentUserId();
+
+    $('#rm_group_members .group_member').each(function() {
+        const $member = $(this);
+        $member.find('.lorebook-group-badge').remove();
+
+        const character = characters[$member.data('chid')];
+        if (!extensionSettings.enabled || !character) return;
+
+        const characterId = getCharacterKey(character);
+        if (!extensionSettings.permissions[characterId]) return;
+
+        const { allowed, reason } = explainPermission(characterId, userId);
+        const $badge = $('<i></i>')
+            .addClass(`fa-solid lorebook-group-badge ${allowed ? 'fa-lock-open badge-allowed' : 'fa-lock badge-blocked'}`)
+            .attr('title', allowed ? `Protected lorebook: ${reason}` : `Protected lorebook, suppressed for you: ${reason}`);
+
+        const $name = $member.find('.ch_name').first();
+        ($name.length ? $name : $member).append($badge);
+    });
+}
+
+/**
+ * Keep the group member badges in place as SillyTavern redraws the member list
+ */
+function observeGroupMembers() {
+    const memberList = document.getElementById('rm_group_members');
+    if (!memberList) {
+        console.warn(`[${extensionName}] Group member list not found; group badges are inactive`);
+        return;
+    }
+
+    new MutationObserver(updateGroupMemberBadges).observe(memberList, { childList: true });
+    updateGroupMemberBadges();
+}
+
+/**
+ * Safety net: report protected entries that still reached activation
+ */
+function onWorldInfoActivated(entries) {
+    if (!extensionSettings.enabled || !Array.isArray(entries)) return;
+    if (!getSecurityPolicy().blockActivation) return;
+
+    const protectedWorlds = getProtectedWorlds();
+    const userId = getCurrentUserId();
+
+    entries.forEach(entry => {
+        if (getEntryDenial(entry, protectedWorlds, userId) !== null) {
+            console.warn(`[${extensionName}] Protected entry ${entry.world}#${entry.uid} was activated for ${userId}`);
+        }
+    });
+}
+
+/**
+ * Scan the open chat's last messages for world info the way a user's generation would,
+ * without generating, logging or counting grant uses, and show what activates and why
+ */
+async function runAccessSimulation() {
+    const userId = String($('#lorebook-sim-user').val() || '');
+    const depth = Math.max(1, parseInt($('#lorebook-sim-depth').val(), 10) || 10);
+
+    if (!userId) {
+        showNotification('Please select a user', 'error');
+        return;
+    }
+
+    if (userId !== getCurrentUserId() && !isAdmin()) {
+        showNotification('Only an admin can simulate other users', 'error');
+        return;
+    }
+
+    // World info a generation loads meanwhile would be filtered for the simulated user.
+    // Generations starting later wait in onGenerationStarted(); one already running cannot.
+    if (simulation || generationRunning) {
+        showNotification('Wait for the current generation or simulation to finish', 'warning');
+        return;
+    }
+
+    if (this_chid === undefined && !selected_group) {
+        showNotification('Open the chat to simulate first', 'error');
+        return;
+    }
+
+    if (!event_types.WORLDINFO_ENTRIES_LOADED) {
+        showNotification('This SillyTavern version cannot filter world info, so there is nothing to simulate', 'error');
+        return;
+    }
+
+    const messages = chat.filter(message => !message.is_system).slice(-depth)
+        .map(message => `${message.name}: ${message.mes}`)
+        .reverse();
+
+    let finish;
+    simulation = { userId, removeDenied: true, decisions: new Map(), finished: new Promise(resolve => { finish = resolve; }) };
+    try {
+        // Once as the user would get it, once unfiltered to find the entries protection held back
+        const activated = await scanSimulatedChat(messages);
+        simulation.removeDenied = false;
+        const unfiltered = await scanSimulatedChat(messages);
+
+        renderSimulation(userId, depth, activated, unfiltered, simulation.decisions);
+    } catch (error) {
+        console.error(`[${extensionName}] Error simulating world info for ${userId}:`, error);
+        showNotification(`Simulation failed: ${error.message}`, 'error');
+    } finally {
+        simulation = null;
+        finish();
+    }
+}
+
+async function scanSimulatedChat(messages) {
+    const character = characters[this_chid] || {};
+    const scanData = {
+        personaDescription: power_user.persona_description || '',
+        characterDescription: character.description || '',
+        characterPersonality: character.personality || '',
+        characterDepthPrompt: character.data?.extensions?.depth_prompt?.prompt || '',
+        scenario: character.scenario || '',
+        creatorNotes: character.data?.creator_notes || '',
+        trigger: 'normal'
+    };
+
+    const result = await checkWorldInfo(messages, getContext().maxContext, true, scanData);
+    return [...(result?.allActivatedEntries?.values() || [])];
+}
+
+/**
+ * Record the decision on every loaded entry for the simulated user and, on the first
+ * pass, drop the entries their generation would not get
+ */
+function filterSimulatedEntries(lore) {
+    const protectedWorlds = getProtectedWorlds();
+    const memberWorlds = getGroupMemberWorlds();
+    const { blockActivation } = getSecurityPolicy();
+
+    ['globalLore', 'characterLore', 'chatLore', 'personaLore'].forEach(key => {
+        const entries = lore[key];
+        if (!Array.isArray(entries)) return;
+
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const decision = explainEntryAccess(entries[i], protectedWorlds, memberWorlds, simulation.userId);
+            simulation.decisions.set(`${entries[i].world}#${entries[i].uid}`, decision);
+
+            if (simulation.removeDenied && blockActivation && !decision.allowed) {
+                entries.splice(i, 1);
+            }
+        }
+    });
+}
+
+/**
+ * Decide, as onWorldInfoEntriesLoaded() does, whether an entry may activate for a user, and why
+ */
+function explainEntryAccess(entry, protectedWorlds, memberWorlds, userId) {
+    const members = memberWorlds.get(entry.world) || [];
+    const deniedBy = members.find(memberId => !checkPermission(memberId, userId, 'activate'));
+    if (deniedBy) {
+        const { source, reason } = explainPermission(deniedBy, userId);
+        const memberName = getCharacterName(deniedBy);
+        return { allowed: false, source, reason: `Group member ${memberName}: ${reason}` };
+    }
+
+    const characterId = members[0] ?? protectedWorlds.get(entry.world);
+    const explanation = characterId === undefined ? null : explainPermission(characterId, userId);
+    if (explanation && !explanation.allowed) {
+        return explanation;
+    }
+
+    const rules = findEntryProtections(entry.world, entry);
+    if (rules.length > 0) {
+        // Name the first rule that denies, or the first one when every rule allows
+        const rule = rules.find(r => !checkEntryPermission(r, userId)) || rules[0];
+        const allowed = rules.every(r => checkEntryPermission(r, userId));
+        const scope = rule.match === 'uid' ? `UID #${rule.value}` : `"${rule.value}"`;
+        return { allowed, source: 'entry', reason: `${allowed ? 'Allowed' : 'Not allowed'} by entry protection ${scope} of ${rule.owner}` };
+    }
+
+    return explanation || { allowed: true, source: 'none', reason: 'Not protected' };
+}
+
+/**
+ * Show the entries a simulated generation activates and the matching entries protection held back
+ */
+function renderSimulation(userId, depth, activated, unfiltered, decisions) {
+    const policy = getSecurityPolicy();
+    const keyOf = entry => `${entry.world}#${entry.uid}`;
+    const activatedKeys = new Set(activated.map(keyOf));
+
+    const rows = [
+        ...activated.map(entry => {
+            const decision = decisions.get(keyOf(entry));
+            const logged = decision?.allowed === false;
+            return { entry, result: logged ? 'Activates (log only)' : 'Activates', status: logged ? 'logged' : 'allowed', reason: decision?.reason || 'Not protected' };
+        }),
+        ...unfiltered
+            .filter(entry => !activatedKeys.has(keyOf(entry)) && decisions.get(keyOf(entry))?.allowed === false)
+            .map(entry => ({ entry, result: 'Blocked', status: 'blocked', reason: decisions.get(keyOf(entry)).reason }))
+    ];
+
+    // Only admins see which entries were blocked; anyone else would read labels they are denied
+    const blockedCount = rows.filter(row => row.status === 'blocked').length;
+    const shownRows = isAdmin() ? rows : rows.filter(row => row.status !== 'blocked');
+
+    const chatName = selected_group
+        ? getContext().groups?.find(group => group.id === selected_group)?.name || selected_group
+        : characters[this_chid]?.name;
+
+    $('#lorebook-sim-results').html(`
+        <div class="lorebook-sim-summary">
+            ${activated.length} entr${activated.length === 1 ? 'y activates' : 'ies activate'} and ${blockedCount} ${blockedCount === 1 ? 'is' : 'are'} blocked
+            for ${escapeHtml(userId)} in ${escapeHtml(chatName || 'this chat')} (last ${depth} messages, ${escapeHtml(policy.label)} security level).
+            Nothing was sent to the model.
+        </div>
+        ${shownRows.length === 0 ? `<div class="lorebook-empty-state">${rows.length === 0 ? 'No world info entries match these messages' : 'No entries activate'}</div>` : `
+        <table class="lorebook-sim-table">
+            <thead><tr><th>Entry</th><th>Lorebook</th><th>Result</th><th>Why</th></tr></thead>
+            <tbody>
+                ${shownRows.map(({ entry, result, status, reason }) => `
+                    <tr class="sim-${status}">
+                        <td>${escapeHtml(getEntryLabel(entry))}</td>
+                        <td>${escapeHtml(entry.world)}</td>
+                        <td class="sim-result">${result}</td>
+                        <td>${escapeHtml(reason)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`}
+    `);
+}
+
+/**
+ * Show the permission management modal
+ */
+async function showPermissionModal() {
+    $('#lorebook-protection-modal').removeClass('hidden');
+    await pullServerSettings();
+    refreshDisplays();
+}
+
+/**
+ * Show one tab of the modal
+ */
+function switchModalTab(tab) {
+    const $modal = $('#lorebook-protection-modal');
+    $modal.find('.tab-btn').removeClass('active').filter(`[data-tab="${tab}"]`).addClass('active');
+    $modal.find('.tab-content').removeClass('active');
+    $(`#${tab}-tab`).addClass('active');
+}
+
+/**
+ * Put the stored settings into every settings control: the drawer and the modal's Settings tab
+ */
+function syncSettingsControls() {
+    const adminOnly = serverStorage && !isAdmin();
+
+    $(`#${extensionName}-enabled`).prop('checked', extensionSettings.enabled);
+    $(`#${extensionName}-security-level`).val(extensionSettings.securityLevel).prop('disabled', adminOnly);
+    $('#modal-security-level').val(extensionSettings.securityLevel).prop('disabled', adminOnly);
+    $('#modal-auto-cleanup').prop('checked', extensionSettings.autoCleanup).prop('disabled', adminOnly);
+    $('#modal-notifications').prop('checked', extensionSettings.notificationEnabled);
+}
+
+/**
+ * Apply the modal's Settings tab
+ */
+function saveModalSettings() {
+    const level = $('#modal-security-level').val();
+    const autoCleanup = $('#modal-auto-cleanup').prop('checked');
+    const notificationEnabled = $('#modal-notifications').prop('checked');
+    const changes = [];
+
+    if (!SECURITY_POLICIES[level]) {
+        showNotification(`Unknown security level: ${level}`, 'error');
+        return;
+    }
+
+    if (level !== extensionSettings.securityLevel) {
+        extensionSettings.securityLevel = level;
+        changes.push(`security level ${level}`);
+    }
+    if (autoCleanup !== extensionSettings.autoCleanup) {
+        extensionSettings.autoCleanup = autoCleanup;
+        changes.push(`auto cleanup ${autoCleanup ? 'on' : 'off'}`);
+    }
+    if (notificationEnabled !== extensionSettings.notificationEnabled) {
+        extensionSettings.notificationEnabled = notificationEnabled;
+        changes.push(`notifications ${notificationEnabled ? 'on' : 'off'}`);
+    }
+
+    if (changes.length === 0) {
+        showNotification('No settings changed', 'info');
+        return;
+    }
+
+    saveSettings();
+    if (autoCleanup) {
+        cleanupExpiredGrants();
+    }
+    refreshDisplays();
+    applyWorldEditorPolicy();
+
+    logAccessAttempt('system', `Settings changed: ${changes.join(', ')}`, 'admin');
+    showNotification('Settings saved', 'success');
+}
+
+/**
+ * Hide the permission management modal
+ */
+function hidePermissionModal() {
+    $('#lorebook-protection-modal').addClass('hidden');
+}
+
+/**
+ * Open the admin panel
+ */
+async function openPanel() {
+    $panelContainer.addClass('expanded');
+    await pullServerSettings();
+    refreshDisplays();
+}
+
+/**
+ * Close the admin panel
+ */
+function closePanel() {
+    $panelContainer.removeClass('expanded');
+}
+
+/**
+ * Update panel visibility based on settings
+ */
+function updatePanelVisibility() {
+    if (extensionSettings.enabled) {
+        $panelContainer.removeClass('hidden');
+    } else {
+        $panelContainer.addClass('hidden');
+    }
+}
+
+/**
+ * Grant from the side panel's form or, with form = 'modal', the modal's
+ */
+function grantFromForm(form = 'lorebook') {
+    const characterId = $(`#${form}-character-select`).val();
+    const grantee = getGranteeFromForm(form);
+    const expiryInput = $(`#${form}-grant-expiry`).val();
+    const usesInput = $(`#${form}-grant-uses`).val();
+
+    const result = grantPermission(characterId, grantee, {
+        role: $(`#${form}-role-select`).val() || 'viewer',
+        expires: expiryInput ? new Date(expiryInput).toISOString() : null,
+        maxUses: usesInput ? parseInt(usesInput, 10) : null
+    });
+
+    if (result.success) {
+        $(`#${form}-user-select`).val('');
+        $(`#${form}-grant-expiry`).val('');
+        $(`#${form}-grant-uses`).val('');
+    }
+}
+
+/**
+ * Grant a role on a character to a user or a group (`group:<id>`), optionally until a date
+ * or for a number of generations. Notifies and returns { success, message }.
+ */
+function grantPermission(characterId, grantee, { role = 'viewer', expires = null, maxUses = null } = {}) {
+    const reject = (message, type = 'error') => {
+        showNotification(message, type);
+        return { success: false, message };
+    };
+    
+    if (!characterId) {
+        return reject('Please select a character');
+    }
+    
+    if (!grantee) {
+        return reject('Please enter a user ID or choose a group');
+    }
+    
+    if (!ROLES[role]) {
+        return reject(`Unknown role: ${role}`);
+    }
+    
+    if (expires && !(Date.parse(expires) > Date.now())) {
+        return reject('Expiry must be in the future');
+    }
+    
+    if (maxUses !== null && !(maxUses > 0)) {
+        return reject('Generation quota must be a positive number');
+    }
+    
+    if (!canManage(characterId)) {
+        return reject('Only the owner or a co-owner can manage this lorebook');
+    }
+    
+    const existing = extensionSettings.permissions[characterId]?.grants[grantee];
+    
+    if (existing?.role === role && (existing.expires || null) === expires && (existing.maxUses || null) === maxUses) {
+        return reject(`${getGranteeLabel(grantee)} already has ${ROLES[role].label} access to this character`, 'warning');
+    }
+    
+    let message;
+    if (!existing) {
+        message = `Permission granted to ${getGranteeLabel(grantee)} as ${role}`;
+    } else if (existing.role !== role) {
+        message = `Role of ${getGranteeLabel(grantee)} changed from ${existing.role} to ${role}`;
+    } else {
+        message = `Grant for ${getGranteeLabel(grantee)} updated`;
+    }
+    if (expires) message += ` until ${new Date(expires).toLocaleString()}`;
+    if (maxUses) message += ` for ${maxUses} generation${maxUses === 1 ? '' : 's'}`;
+    
+    if (!confirmPolicyAction(`${message}?`)) {
+        return { success: false, message: 'Cancelled' };
+    }
+    
+    const grant = { role, granted: existing?.granted || new Date().toISOString() };
+    if (expires) grant.expires = expires;
+    if (maxUses) {
+        grant.maxUses = maxUses;
+        grant.uses = 0;
+    }
+    
+    characterId = claimCharacterId(characterId);
+    setGrant(characterId, grantee, grant);
+    
+    showNotification(message, 'success');
+    
+    // Log the action
+    logAccessAttempt(characterId, message, 'admin');
+    return { success: true, message };
+}
+
+/**
+ * Store a grant, protecting the character with the current user as owner if it is not protected yet
+ */
+function setGrant(characterId, grantee, grant) {
+    const record = ensureRecord(characterId);
+    record.grants[grantee] = grant;
+    record.modified = new Date().toISOString();
+    saveSettings();
+    updatePermissionList();
+}
+
+/**
+ * Get a character's permission record, creating it with the current user as owner.
+ * Refreshes the card, lorebooks and tags it covers when the user may change them.
+ * Give unprotected characters their permanent ID first with claimCharacterId().
+ */
+function ensureRecord(characterId) {
+    if (!extensionSettings.permissions[characterId]) {
+        extensionSettings.permissions[characterId] = {
+            grants: {},
+            owner: getCurrentUserId(),
+            created: new Date().toISOString()
+        };
+    }
+
+    const record = extensionSettings.permissions[characterId];
+    const character = findCharacterByKey(characterId);
+    if (character && canChangeRecordScope(record)) {
+        record.avatar = character.avatar;
+        record.lorebooks = getCharacterWorlds(character);
+        Object.assign(record, getCharacterTags(character));
+    }
+    return record;
+}
+
+/**
+ * Get the key an unprotected character should be protected under, writing a permanent
+ * ID into its card if it is still known by name
+ */
+function claimCharacterId(characterId) {
+    if (extensionSettings.permissions[characterId]) return characterId;
+
+    const character = findCharacterByKey(characterId);
+    if (!character || character.data?.extensions?.character_id) return characterId;
+
+    const newId = ensureCharacterId(character);
+    if (bulkSelection.delete(characterId)) {
+        bulkSelection.add(newId);
+    }
+    return newId;
+}
+
+/**
+ * Get a character's permanent ID, writing a new one into its card if it has none
+ */
+function ensureCharacterId(character) {
+    return character.data?.extensions?.character_id || writeCharacterId(character, uuidv4());
+}
+
+/**
+ * Store an ID in a character's card. The loaded card changes at once; saving it to disk happens in the background.
+ */
+function writeCharacterId(character, characterId) {
+    const index = (getContext().characters || []).indexOf(character);
+    character.data ??= {};
+    character.data.extensions ??= {};
+    character.data.extensions.character_id = characterId;
+
+    writeExtensionField(index, 'character_id', characterId).catch(error => {
+        console.error(`[${extensionName}] Error saving the ID of ${character.name}:`, error);
+    });
+    return characterId;
+}
+
+/**
+ * Move a permission record and the access requests for it to a new key
+ */
+function rekeyRecord(oldKey, newKey) {
+    extensionSettings.permissions[newKey] = extensionSettings.permissions[oldKey];
+    delete extensionSettings.permissions[oldKey];
+
+    extensionSettings.accessRequests.forEach(request => {
+        if (request.characterId === oldKey) request.characterId = newKey;
+    });
+    if (bulkSelection.delete(oldKey)) {
+        bulkSelection.add(newKey);
+    }
+}
+
+/**
+ * Give duplicated cards that copied another card's ID an ID of their own, and move records
+ * still keyed by character name to the card's permanent ID. On a server only the owner may
+ * move a record, because a record can only be created by its owner there.
+ */
+function migrateCharacterIds() {
+    const characters = getContext().characters || [];
+    if (characters.length === 0) return;
+
+    const byId = new Map();
+    characters.forEach(character => {
+        const id = character.data?.extensions?.character_id;
+        if (id) byId.set(id, [...(byId.get(id) || []), character]);
+    });
+
+    byId.forEach((cards, id) => {
+        if (cards.length < 2) return;
+        const keeper = cards.find(card => card.avatar === extensionSettings.permissions[id]?.avatar) || cards[0];
+        cards.filter(card => card !== keeper).forEach(card => writeCharacterId(card, uuidv4()));
+    });
+
+    const moved = [];
+    Object.entries(extensionSettings.permissions).forEach(([key, record]) => {
+        if (serverStorage && !canTransferOwnership(record)) return;
+
+        const card = getNamedCard(key, record);
+        if (!card) return;
+
+        const newKey = ensureCharacterId(card);
+        rekeyRecord(key, newKey);
+        record.avatar = card.avatar;
+        record.modified = new Date().toISOString();
+        moved.push(key);
+    });
+
+    if (moved.length > 0) {
+        bulkUndo = null;
+        saveSettings();
+        logAccessAttempt('system', `Moved ${moved.length} record${moved.length === 1 ? '' : 's'} keyed by name to permanent character IDs: ${moved.join(', ')}`, 'admin');
+    }
+}
+
+/**
+ * Find the single card without an ID that a name-keyed record belongs to.
+ * When several cards share the name, only the one the record was made for qualifies.
+ */
+function getNamedCard(key, record) {
+    const cards = (getContext().characters || [])
+        .filter(character => !character.data?.extensions?.character_id && character.name === key);
+
+    if (cards.length === 1) return cards[0];
+    return cards.find(card => card.avatar === record.avatar) || null;
+}
+
+/**
+ * List this user's records that match no character, or a name several cards share
+ */
+function getUnlinkedRecords() {
+    const characters = getContext().characters || [];
+    if (characters.length === 0) return [];
+
+    const keys = new Set(characters.map(getCharacterKey));
+    const userId = getCurrentUserId();
+
+    return Object.entries(extensionSettings.permissions)
+        .filter(([, record]) => !serverStorage || record.owner === userId)
+        .map(([characterId, record]) => {
+            if (!keys.has(characterId)) return { characterId, reason: 'No character with this ID' };
+            if (!record.avatar && characters.filter(c => getCharacterKey(c) === characterId).length > 1) {
+                return { characterId, reason: 'Several characters have this name' };
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Let the user point unlinked records at a character or delete them, in one logged change
+ */
+async function showUnlinkedRecords() {
+    await pullServerSettings();
+    const unlinked = getUnlinkedRecords();
+
+    if (unlinked.length === 0) {
+        showNotification('Every protected record matches a character', 'success');
+        return;
+    }
+
+    const candidates = (getContext().characters || []).filter(character => !extensionSettings.permissions[getCharacterKey(character)]
+        || unlinked.some(({ characterId }) => characterId === getCharacterKey(character)));
+    const options = candidates.map(character => `
+        <option value="${escapeHtml(character.avatar)}">${escapeHtml(character.name)} (${escapeHtml(character.avatar)})</option>
+    `).join('');
+
+    const $form = $(`
+        <div class="lorebook-owner-wizard">
+            <h3>Unlinked records</h3>
+            <p>These permission records do not belong to exactly one character, usually because the card was deleted or renamed by an older version. Relink each to its character, or purge it.</p>
+            <table class="lorebook-owner-table">
+                <thead><tr><th>Record</th><th>Lorebooks</th><th>Problem</th><th>Action</th></tr></thead>
+                <tbody>
+                    ${unlinked.map(({ characterId, reason }) => `
+                        <tr data-character-id="${escapeHtml(characterId)}">
+                            <td>${escapeHtml(characterId)}</td>
+                            <td>${escapeHtml((extensionSettings.permissions[characterId].lorebooks || []).join(', ') || 'none')}</td>
+                            <td>${escapeHtml(reason)}</td>
+                            <td>
+                                <select class="text_pole lorebook-unlinked-action">
+                                    <option value="">Keep</option>
+                                    <option value="purge">Purge</option>
+                                    <optgroup label="Relink to">${options}</optgroup>
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+
+    const result = await callGenericPopup($form, POPUP_TYPE.CONFIRM, '', { okButton: 'Apply', cancelButton: 'Cancel', wide: true, allowVerticalScrolling: true });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const changes = $form.find('tbody tr').map((i, row) => ({
+        characterId: String($(row).data('character-id')),
+        action: $(row).find('.lorebook-unlinked-action').val()
+    })).get().filter(({ action }) => action);
+
+    const purges = changes.filter(({ action }) => action === 'purge');
+    if (purges.length > 0 && !confirm(`Purge ${purges.length} record${purges.length === 1 ? '' : 's'} and their grants? This cannot be undone.`)) return;
+
+    const summary = [];
+    changes.forEach(({ characterId, action }) => {
+        if (action === 'purge') {
+            delete extensionSettings.permissions[characterId];
+            extensionSettings.accessRequests = extensionSettings.accessRequests.filter(request => request.characterId !== characterId);
+            bulkSelection.delete(characterId);
+            summary.push(`purged ${characterId}`);
+            return;
+        }
+
+        const character = candidates.find(c => c.avatar === action);
+        const newKey = ensureCharacterId(character);
+        if (newKey !== characterId && extensionSettings.permissions[newKey]) {
+            showNotification(`${character.name} already has a record; ${characterId} was kept`, 'warning');
+            return;
+        }
+
+        rekeyRecord(characterId, newKey);
+        const record = extensionSettings.permissions[newKey];
+        record.avatar = character.avatar;
+        record.lorebooks = getCharacterWorlds(character);
+        Object.assign(record, getCharacterTags(character));
+        record.modified = new Date().toISOString();
+        summary.push(`${characterId} → ${character.name}`);
+    });
+
+    if (summary.length === 0) return;
+
+    bulkUndo = null;
+    saveSettings();
+    updatePermissionList();
+
+    showNotification(`Unlinked records updated: ${summary.length}`, 'success');
+    logAccessAttempt('system', `Unlinked records: ${summary.join(', ')}`, 'admin');
+}
+
+/**
+ * Ask the owner of a protected character for access
+ */
+async function requestAccess() {
+    const characterId = $('#lorebook-character-select').val();
+    const userId = getCurrentUserId();
+
+    if (!characterId) {
+        showNotification('Please select a character', 'error');
+        return;
+    }
+
+    if (!extensionSettings.permissions[characterId]) {
+        showNotification('This character is not protected', 'info');
+        return;
+    }
+
+    if (checkPermission(characterId, userId, 'activate')) {
+        showNotification('You already have access to this character', 'info');
+        return;
+    }
+
+    if (getPendingRequest(characterId, userId)) {
+        showNotification('You already have a pending request for this character', 'warning');
+        return;
+    }
+
+    const reason = await callGenericPopup(`Why do you need access to ${escapeHtml(getCharacterName(characterId))}?`, POPUP_TYPE.INPUT, '');
+    if (reason === false || reason === null) return;
+
+    extensionSettings.accessRequests.push({
+        id: uuidv4(),
+        requester: userId,
+        characterId,
+        reason: String(reason).trim(),
+        timestamp: new Date().toISOString(),
+        status: 'pending'
+    });
+    saveSettings();
+    updateRequestList();
+    updateRequestAccessButton();
+
+    showNotification('Access request sent to the owner', 'success');
+    logAccessAttempt(characterId, `Access requested by ${userId}`, 'request');
+}
+
+/**
+ * Find a user's pending request for a character
+ */
+function getPendingRequest(characterId, userId) {
+    return extensionSettings.accessRequests.find(request =>
+        request.characterId === characterId && request.requester === userId && request.status === 'pending');
+}
+
+/**
+ * Approve or deny a pending access request
+ */
+function resolveAccessRequest(requestId, approve, role = 'viewer') {
+    const request = extensionSettings.accessRequests.find(r => r.id === requestId);
+    if (!request || request.status !== 'pending') return;
+
+    if (!canManage(request.characterId)) {
+        showNotification('Only the owner or a co-owner can resolve this request', 'error');
+        return;
+    }
+
+    const verb = approve ? 'Approve' : 'Deny';
+    if (!confirmPolicyAction(`${verb} access to ${getCharacterName(request.characterId)} for ${request.requester}?`)) return;
+
+    request.status = approve ? 'approved' : 'denied';
+    request.resolvedBy = getCurrentUserId();
+    request.resolvedAt = new Date().toISOString();
+
+    if (approve) {
+        const existing = extensionSettings.permissions[request.characterId]?.grants[request.requester];
+        const roleNames = Object.keys(ROLES);
+
+        // Never downgrade a stronger grant the requester already holds
+        if (!existing || roleNames.indexOf(role) > roleNames.indexOf(existing.role) || !isGrantActive(existing)) {
+            request.role = role;
+            setGrant(request.characterId, request.requester, { role, granted: request.resolvedAt });
+        } else {
+            request.role = existing.role;
+            saveSettings();
+        }
+    } else {
+        saveSettings();
+    }
+
+    updateRequestList();
+
+    const message = approve
+        ? `Access request from ${request.requester} approved as ${request.role}`
+        : `Access request from ${request.requester} denied`;
+    showNotification(message, 'success');
+    logAccessAttempt(request.characterId, message, 'admin');
+}
+
+/**
+ * Tell the current user about their requests that were resolved since they last looked
+ */
+function notifyResolvedRequests() {
+    const userId = getCurrentUserId();
+    const resolved = extensionSettings.accessRequests.filter(request =>
+        request.requester === userId && request.status !== 'pending' && !request.notified);
+
+    if (resolved.length === 0) return;
+
+    resolved.forEach(request => {
+        request.notified = true;
+        showNotification(
+            `Your access request for ${getCharacterName(request.characterId)} was ${request.status}`,
+            request.status === 'approved' ? 'success' : 'warning'
+        );
+    });
+    saveSettings();
+}
+
+/**
+ * Show the request button only when the selected character is protected from the current user
+ */
+function updateRequestAccessButton() {
+    const characterId = $('#lorebook-character-select').val();
+    const userId = getCurrentUserId();
+
+    const canRequest = Boolean(characterId) &&
+        Boolean(extensionSettings.permissions[characterId]) &&
+        !checkPermission(characterId, userId, 'activate') &&
+        !getPendingRequest(characterId, userId);
+
+    $('#lorebook-request-access').toggle(canRequest);
+}
+
+/**
+ * Update the access request display
+ */
+function updateRequestList() {
+    const $listContainer = $('#lorebook-access-requests');
+    const userId = getCurrentUserId();
+
+    // Pending requests the user can act on, plus the user's own requests
+    const visible = extensionSettings.accessRequests.filter(request =>
+        (request.status === 'pending' && extensionSettings.permissions[request.characterId] && canManage(request.characterId)) ||
+        request.requester === userId);
+
+    $('#lorebook-pending-count').text(visible.filter(r => r.status === 'pending' && r.requester !== userId).length || '');
+
+    if (visible.length === 0) {
+        $listContainer.html('<div class="lorebook-empty-state">No access requests</div>');
+        return;
+    }
+
+    const html = visible.slice().reverse().map(request => {
+        const actionable = request.status === 'pending' && request.requester !== userId;
+
+        return `
+            <div class="access-request-item request-${escapeHtml(request.status)}" data-request-id="${escapeHtml(request.id)}">
+                <div class="character-header">
+                    <h4>${escapeHtml(request.requester)} → ${escapeHtml(getCharacterName(request.characterId))}</h4>
+                    <span class="request-status">${escapeHtml(request.status)}</span>
+                </div>
+                <div class="request-reason">${request.reason ? escapeHtml(request.reason) : '<span class="no-users">No reason given</span>'}</div>
+                <div class="log-time">${new Date(request.timestamp).toLocaleString()}</div>
+                ${actionable ? `
+                    <div class="request-actions">
+                        <select class="filter-select lorebook-request-role">
+                            ${Object.entries(ROLES).map(([role, def]) => `<option value="${role}">${def.label}</option>`).join('')}
+                        </select>
+                        <button class="btn btn-small btn-success lorebook-approve-request">
+                            <i class="fa-solid fa-check"></i> Approve
+                        </button>
+                        <button class="btn btn-small btn-danger lorebook-deny-request">
+                            <i class="fa-solid fa-xmark"></i> Deny
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    $listContainer.html(html);
+}
+
+/**
+ * Revoke using the side panel's form or, with form = 'modal', the modal's
+ */
+function revokeFromForm(form = 'lorebook') {
+    const result = revokePermission($(`#${form}-character-select`).val(), getGranteeFromForm(form));
+    if (result.success) {
+        $(`#${form}-user-select`).val('');
+    }
+}
+
+/**
+ * Revoke a user's or group's grant on a character. Notifies and returns { success, message }.
+ */
+function revokePermission(characterId, grantee) {
+    const reject = (message, type = 'error') => {
+        showNotification(message, type);
+        return { success: false, message };
+    };
+    
+    if (!characterId) {
+        return reject('Please select a character');
+    }
+    
+    if (!grantee) {
+        return reject('Please enter a user ID or choose a group');
+    }
+    
+    const record = extensionSettings.permissions[characterId];
+    
+    if (!record?.grants?.[grantee]) {
+        return reject('User does not have permission for this character', 'warning');
+    }
+    
+    if (!canManage(characterId)) {
+        return reject('Only the owner or a co-owner can manage this lorebook');
+    }
+    
+    if (!confirmPolicyAction(`Revoke access to ${characterId} from ${getGranteeLabel(grantee)}?`)) {
+        return { success: false, message: 'Cancelled' };
+    }
+
+    delete record.grants[grantee];
+    record.modified = new Date().toISOString();
+    saveSettings();
+    updatePermissionList();
+    
+    const message = `Permission revoked from ${getGranteeLabel(grantee)}`;
+    showNotification(message, 'success');
+    
+    // Log the action
+    logAccessAttempt(characterId, message, 'admin');
+    return { success: true, message };
+}
+
+/**
+ * Ask for a new owner for the character selected in a permission form
+ */
+async function transferFromForm(form = 'lorebook') {
+    const characterId = $(`#${form}-character-select`).val();
+    if (!characterId) {
+        showNotification('Please select a character', 'error');
+        return;
+    }
+
+    const owner = extensionSettings.permissions[characterId]?.owner || 'nobody';
+    const newOwner = await callGenericPopup(
+        `New owner of ${escapeHtml(characterId)} (currently ${escapeHtml(owner)}). You keep access only through a grant.`,
+        POPUP_TYPE.INPUT,
+        String($(`#${form}-user-select`).val() || '')
+    );
+    if (!newOwner) return;
+
+    transferOwnership(characterId, String(newOwner).trim());
+}
+
+/**
+ * Hand a protected character to another user. Only the current owner or an admin may;
+ * the previous owner keeps access only through their grants. Notifies and returns { success, message }.
+ */
+function transferOwnership(characterId, newOwner) {
+    const reject = (message, type = 'error') => {
+        showNotification(message, type);
+        return { success: false, message };
+    };
+
+    const record = extensionSettings.permissions[characterId];
+
+    if (!record) {
+        return reject(`${characterId} is not protected`);
+    }
+
+    if (!newOwner || newOwner.startsWith('@') || newOwner.startsWith(GROUP_PREFIX)) {
+        return reject('Enter the user ID of the new owner');
+    }
+
+    if (isUnknownAccount(newOwner)) {
+        return reject(`No account named ${newOwner} on this server`);
+    }
+
+    if (!canTransferOwnership(record)) {
+        return reject('Only the owner or an admin can transfer ownership');
+    }
+
+    if (record.owner === newOwner) {
+        return reject(`${newOwner} already owns ${characterId}`, 'warning');
+    }
+
+    const message = `Ownership transferred from ${record.owner || 'nobody'} to ${newOwner}`;
+    if (!confirmPolicyAction(`Transfer ${characterId} from ${record.owner || 'nobody'} to ${newOwner}?`)) {
+        return { success: false, message: 'Cancelled' };
+    }
+
+    record.owner = newOwner;
+    record.modified = new Date().toISOString();
+    saveSettings();
+    updatePermissionList();
+
+    showNotification(message, 'success');
+    logAccessAttempt(characterId, message, 'admin');
+    return { success: true, message };
+}
+
+/**
+ * Check whether the current user may change which card, lorebooks, tags and folders a
+ * record covers. Co-owners manage grants only, so they cannot widen what a record protects.
+ */
+function canChangeRecordScope(record) {
+    return isAdmin() || record.owner === getCurrentUserId();
+}
+
+/**
+ * Check whether the current user may change who owns a record
+ */
+function canTransferOwnership(record) {
+    return isAdmin() || record.owner === getCurrentUserId();
+}
+
+/**
+ * Check whether a record lacks a real owner. Versions before 2.0 stored the open
+ * character's index or 'unknown', and later ones the persona's avatar file; when
+ * accounts can be listed, owners must also be existing accounts.
+ */
+function needsOwnerBackfill(record, knownUsers) {
+    const owner = record.owner;
+    if (!owner || owner === 'unknown' || /^\d+$/.test(owner) || /\.(png|webp)$/i.test(owner)) return true;
+    return Boolean(knownUsers) && !knownUsers.includes(owner);
+}
+
+/**
+ * Get the handles of the user accounts on the server, or null when they cannot be listed
+ */
+async function fetchKnownUsers() {
+    const accounts = await refreshKnownAccounts();
+    return accounts && accounts.map(account => account.handle);
+}
+
+/**
+ * Load the accounts the user pickers offer: SillyTavern's account list for admins, the
+ * server plugin's otherwise. Returns null when neither can be listed.
+ */
+async function refreshKnownAccounts() {
+    let accounts = await listAccounts();
+
+    if (!accounts && serverStorage) {
+        try {
+            const { users } = await pluginRequest('GET', '/users');
+            accounts = users.map(handle => ({ handle, name: handle }));
+        } catch (error) {
+            console.error(`[${extensionName}] Error listing users:`, error);
+        }
+    }
+
+    knownAccounts = accounts || [];
+    updateUserPickers();
+    return accounts;
+}
+
+/**
+ * Fill the user pickers with the known accounts and everyone already named in a record
+ * or group, keeping what each picker had selected
+ */
+function updateUserPickers() {
+    const users = new Map(knownAccounts.map(account => [account.handle, formatAccount(account)]));
+    const identity = getIdentity();
+    if (identity && !users.has(identity.handle)) {
+        users.set(identity.handle, formatAccount(identity));
+    }
+
+    const named = [
+        ...Object.values(extensionSettings.permissions).flatMap(record => [record.owner, ...Object.keys(record.grants || {})]),
+        ...Object.values(extensionSettings.groups).flatMap(group => group.members)
+    ];
+    named.filter(user => user && !user.startsWith(GROUP_PREFIX) && !users.has(user)).forEach(user => users.set(user, user));
+
+    const options = [...users].sort((a, b) => a[1].localeCompare(b[1]));
+
+    $('#lorebook-user-select, #modal-user-select, #lorebook-sim-user').each((i, select) => {
+        const $select = $(select);
+        const selected = $select.val();
+
+        $select.empty().append('<option value="">Select user...</option>');
+        options.forEach(([handle, label]) => $select.append($('<option></option>').val(handle).text(label)));
+        $select.append($('<option></option>').val(OTHER_USER_OPTION).text('Other user...'));
+        selectUser($select, selected);
+    });
+
+    $('#lorebook-known-users').html(options.map(([handle]) => `<option value="${escapeHtml(handle)}"></option>`).join(''));
+}
+
+/**
+ * Select a user in a picker, adding them when the picker does not list them
+ */
+function selectUser($select, handle) {
+    if (handle && handle !== OTHER_USER_OPTION && !$select.find('option').get().some(option => option.value === handle)) {
+        $select.find(`option[value="${OTHER_USER_OPTION}"]`).before($('<option></option>').val(handle).text(handle));
+    }
+    $select.val(handle === OTHER_USER_OPTION ? '' : handle || '');
+}
+
+/**
+ * Check whether a handle is missing from the server's accounts. Without an account
+ * list every handle passes, since there is nothing to check against.
+ */
+function isUnknownAccount(handle) {
+    return knownAccounts.length > 0 && !knownAccounts.some(account => account.handle === handle);
+}
+
+/**
+ * Ask for a user the picker does not list, warning when no account has that handle
+ */
+async function pickOtherUser($select) {
+    $select.val('');
+
+    const handle = String(await callGenericPopup('User handle:', POPUP_TYPE.INPUT, '') || '').trim();
+    if (!handle) return;
+
+    if (isUnknownAccount(handle)) {
+        showNotification(`No account named ${handle} on this server`, 'warning');
+    }
+    selectUser($select, handle);
+}
+
+/**
+ * Let an admin assign real owners to records that have none, in one logged change
+ */
+async function showOwnerBackfillWizard() {
+    if (serverStorage && !isAdmin()) {
+        showNotification('Only an admin can assign owners', 'error');
+        return;
+    }
+
+    await pullServerSettings();
+    const knownUsers = await fetchKnownUsers();
+    const characterIds = Object.keys(extensionSettings.permissions)
+        .filter(characterId => needsOwnerBackfill(extensionSettings.permissions[characterId], knownUsers))
+        .sort();
+
+    if (characterIds.length === 0) {
+        showNotification('Every protected character has a valid owner', 'success');
+        return;
+    }
+
+    // Without a user list the only user we know of is this one
+    const suggestion = knownUsers ? '' : getCurrentUserId();
+    const $form = $(`
+        <div class="lorebook-owner-wizard">
+            <h3>Assign owners</h3>
+            <p>These protected characters have no valid owner. Owners may do everything with a character, including transferring it.</p>
+            <div class="form-row">
+                <input type="text" class="text_pole lorebook-owner-all" list="lorebook-owner-users" placeholder="Owner for all...">
+                <button class="menu_button lorebook-owner-fill">Fill all</button>
+            </div>
+            <datalist id="lorebook-owner-users">
+                ${(knownUsers || []).map(user => `<option value="${escapeHtml(user)}"></option>`).join('')}
+            </datalist>
+            <table class="lorebook-owner-table">
+                <thead><tr><th>Character</th><th>Stored owner</th><th>New owner</th></tr></thead>
+                <tbody>
+                    ${characterIds.map(characterId => `
+                        <tr data-character-id="${escapeHtml(characterId)}">
+                            <td>${escapeHtml(characterId)}</td>
+                            <td class="lorebook-owner-stale">${escapeHtml(extensionSettings.permissions[characterId].owner || 'none')}</td>
+                            <td><input type="text" class="text_pole lorebook-owner-input" list="lorebook-owner-users" value="${escapeHtml(suggestion)}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+
+    $form.find('.lorebook-owner-fill').on('click', () => {
+        $form.find('.lorebook-owner-input').val($form.find('.lorebook-owner-all').val().trim());
+    });
+
+    const result = await callGenericPopup($form, POPUP_TYPE.CONFIRM, '', { okButton: 'Assign', cancelButton: 'Cancel', wide: true, allowVerticalScrolling: true });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const assignments = $form.find('tbody tr').map((i, row) => ({
+        characterId: String($(row).data('character-id')),
+        owner: $(row).find('.lorebook-owner-input').val().trim()
+    })).get().filter(({ owner }) => owner);
+
+    const unknown = assignments.filter(({ owner }) => knownUsers && !knownUsers.includes(owner));
+    if (unknown.length > 0) {
+        showNotification(`Unknown user: ${unknown[0].owner}`, 'error');
+        return;
+    }
+    if (assignments.length === 0) return;
+
+    const now = new Date().toISOString();
+    assignments.forEach(({ characterId, owner }) => {
+        const record = extensionSettings.permissions[characterId];
+        record.owner = owner;
+        record.modified = now;
+    });
+    saveSettings();
+    updatePermissionList();
+
+    const summary = assignments.map(({ characterId, owner }) => `${characterId} → ${owner}`).join(', ');
+    showNotification(`Owners assigned for ${assignments.length} character${assignments.length === 1 ? '' : 's'}`, 'success');
+    logAccessAttempt('system', `Owners assigned: ${summary}`, 'admin');
+}
+
+/**
+ * Read the grantee (a user ID or a group reference) from a permission form
+ */
+function getGranteeFromForm(form = 'lorebook') {
+    if ($(`#${form}-grantee-type`).val() === 'group') {
+        const groupId = $(`#${form}-group-select`).val();
+        return groupId ? `${GROUP_PREFIX}${groupId}` : '';
+    }
+    return String($(`#${form}-user-select`).val() || '');
+}
+
+/**
+ * Get a display label for a grantee
+ */
+function getGranteeLabel(grantee, groups = extensionSettings.groups) {
+    if (grantee.startsWith(GROUP_PREFIX)) {
+        const group = groups[grantee.slice(GROUP_PREFIX.length)];
+        return `@${group?.name || 'deleted group'}`;
+    }
+    return grantee;
+}
+
+/**
+ * Get the active grant giving a user their strongest role on a record, directly or through a group
+ */
+function getEffectiveGrant(record, userId) {
+    const roleNames = Object.keys(ROLES);
+    let best = null;
+
+    Object.entries(record?.grants || {}).forEach(([grantee, grant]) => {
+        if (!isGrantActive(grant)) return;
+
+        if (isGranteeFor(grantee, userId) && roleNames.indexOf(grant.role) > roleNames.indexOf(best?.grant.role)) {
+            best = { grantee, grant };
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Check whether a grantee is the user or a group the user is a member of
+ */
+function isGranteeFor(grantee, userId) {
+    if (grantee.startsWith(GROUP_PREFIX)) {
+        return Boolean(extensionSettings.groups[grantee.slice(GROUP_PREFIX.length)]?.members.includes(userId));
+    }
+    return grantee === userId;
+}
+
+/**
+ * Get the strongest role a user holds on a record
+ */
+function getEffectiveRole(record, userId) {
+    return getEffectiveGrant(record, userId)?.grant.role || null;
+}
+
+/**
+ * Check that a grant has neither expired nor used up its generation quota
+ */
+function isGrantActive(grant) {
+    if (grant.expires && Date.parse(grant.expires) <= Date.now()) return false;
+    if (grant.maxUses && (grant.uses || 0) >= grant.maxUses) return false;
+    return true;
+}
+
+/**
+ * Count one generation against the quota of the grant that let a user's entries activate
+ */
+function recordGrantUse(characterId, userId) {
+    if (isDryRunGeneration || usedThisGeneration.has(characterId)) return;
+    usedThisGeneration.add(characterId);
+
+    const record = extensionSettings.permissions[characterId];
+    if (!record || record.owner === userId) return;
+
+    const effective = getEffectiveGrant(record, userId);
+    if (!effective?.grant.maxUses) return;
+
+    effective.grant.uses = (effective.grant.uses || 0) + 1;
+    saveSettings();
+}
+
+/**
+ * Remove expired and used-up grants when auto cleanup is enabled
+ */
+function cleanupExpiredGrants() {
+    if (!extensionSettings.autoCleanup) return;
+
+    let removed = 0;
+
+    Object.entries(extensionSettings.permissions).forEach(([characterId, record]) => {
+        Object.entries(record.grants || {}).forEach(([grantee, grant]) => {
+            if (isGrantActive(grant)) return;
+
+            delete record.grants[grantee];
+            record.modified = new Date().toISOString();
+            removed++;
+
+            const reason = grant.expires && Date.parse(grant.expires) <= Date.now()
+                ? `expired ${new Date(grant.expires).toLocaleString()}`
+                : `used all ${grant.maxUses} generations`;
+            logAccessAttempt(characterId, `Grant for ${getGranteeLabel(grantee)} removed: ${reason}`, 'expired');
+        });
+    });
+
+    if (removed > 0) {
+        saveSettings();
+        updatePermissionList();
+        console.log(`[${extensionName}] Removed ${removed} expired grant(s)`);
+    }
+}
+
+/**
+ * Describe how long a grant remains valid
+ */
+function formatGrantRemaining(grant) {
+    const parts = [];
+
+    if (grant.expires) {
+        const remaining = Date.parse(grant.expires) - Date.now();
+        if (remaining <= 0) {
+            parts.push('expired');
+        } else {
+            const days = Math.floor(remaining / 86400000);
+            const hours = Math.floor((remaining % 86400000) / 3600000);
+            const minutes = Math.floor((remaining % 3600000) / 60000);
+            parts.push(days > 0 ? `${days}d ${hours}h left` : hours > 0 ? `${hours}h ${minutes}m left` : `${Math.max(minutes, 1)}m left`);
+        }
+    }
+
+    if (grant.maxUses) {
+        const usesLeft = Math.max(grant.maxUses - (grant.uses || 0), 0);
+        parts.push(`${usesLeft} use${usesLeft === 1 ? '' : 's'} left`);
+    }
+
+    return parts.join(' · ');
+}
+
+/**
+ * Get the key permissions are stored under for a character
+ */
+function getCharacterKey(character) {
+    return character.data?.extensions?.character_id || character.name;
+}
+
+/**
+ * Check whether the current user may grant and revoke access for a character.
+ * Anyone may protect an unprotected character; they become its owner.
+ */
+function canManage(characterId) {
+    if (!extensionSettings.permissions[characterId]) return true;
+    return checkPermission(characterId, getCurrentUserId(), 'manage');
+}
+
+/**
+ * Count the grants on a permission record
+ */
+function getGrantCount(record) {
+    return Object.keys(record?.grants || {}).length;
+}
+
+/**
+ * Get the handle of the SillyTavern account the current session is logged in as
+ */
+function getCurrentUserId() {
+    return getIdentity()?.handle || serverUser?.handle || 'unknown';
+}
+
+/**
+ * Map every lorebook linked to a protected character to that character's key
+ */
+function getProtectedWorlds() {
+    const worlds = new Map();
+    const context = getContext();
+
+    // A book shared through a symlink arrives without its character's card, so the
+    // books recorded with each record count too. Local cards override them below.
+    Object.entries(extensionSettings.permissions).forEach(([characterId, record]) => {
+        (record.lorebooks || []).forEach(world => worlds.set(world, characterId));
+    });
+
+    (context.characters || []).forEach(character => {
+        const characterId = getCharacterKey(character);
+        if (!extensionSettings.permissions[characterId]) return;
+
+        getCharacterWorlds(character).forEach(world => worlds.set(world, characterId));
+    });
+
+    return worlds;
+}
+
+/**
+ * Get the names of every lorebook linked to a character
+ */
+function getCharacterWorlds(character) {
+    const worlds = [];
+
+    const primaryWorld = character.data?.extensions?.world;
+    if (primaryWorld) {
+        worlds.push(primaryWorld);
+    }
+
+    // Additional books linked through the character's world info settings
+    const fileName = character.avatar?.replace(/\.[^/.]+$/, '');
+    const charLore = world_info.charLore?.find(e => e.name === fileName);
+    charLore?.extraBooks?.forEach(book => worlds.push(book));
+
+    return [...new Set(worlds)];
+}
+
+/**
+ * Get the names of a character's tags and of the tag folders it is in
+ */
+function getCharacterTags(character) {
+    const assigned = (tag_map[character.avatar] || [])
+        .map(tagId => tags.find(tag => tag.id === tagId))
+        .filter(Boolean);
+
+    return {
+        tags: assigned.map(tag => tag.name),
+        folders: assigned.filter(tag => tag.folder_type && tag.folder_type !== 'NONE').map(tag => tag.name)
+    };
+}
+
+/**
+ * Name the character a permission key belongs to, or return the key for records no local card matches
+ */
+function getCharacterName(characterId) {
+    return findCharacterByKey(characterId)?.name || characterId;
+}
+
+/**
+ * Find a character by the key its permissions are stored under
+ */
+function findCharacterByKey(characterId) {
+    return (getContext().characters || []).find(character => getCharacterKey(character) === characterId);
+}
+
+/**
+ * Record on each permission record the user owns which lorebook files it protects and which
+ * tags and folders the character has, so the server plugin knows which files to isolate
+ * and other users can evaluate tag and folder rules without the owner's tag list
+ */
+function syncProtectedLorebooks() {
+    let changed = false;
+
+    Object.entries(extensionSettings.permissions).forEach(([characterId, record]) => {
+        const character = findCharacterByKey(characterId);
+        if (!character || !canChangeRecordScope(record)) return;
+
+        // A name several cards share stays unlinked until the user picks one
+        if (!character.data?.extensions?.character_id && !getNamedCard(characterId, record)) return;
+
+        const lorebooks = getCharacterWorlds(character);
+        const { tags: tagNames, folders } = getCharacterTags(character);
+        if (JSON.stringify([character.avatar, lorebooks, tagNames, folders]) !== JSON.stringify([record.avatar, record.lorebooks || [], record.tags || [], record.folders || []])) {
+            Object.assign(record, { avatar: character.avatar, lorebooks, tags: tagNames, folders });
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        saveSettings();
+    }
+}
+
+/**
+ * Decide whether a loaded world info entry may activate for a user.
+ * Returns null when allowed, otherwise the key the denial is logged under.
+ */
+function getEntryDenial(entry, protectedWorlds, userId) {
+    const characterId = protectedWorlds.get(entry.world);
+
+    if (characterId !== undefined && !checkPermission(characterId, userId, 'activate')) {
+        return characterId;
+    }
+
+    const rules = findEntryProtections(entry.world, entry);
+    if (!rules.every(rule => checkEntryPermission(rule, userId))) {
+        return characterId ?? entry.world;
+    }
+
+    return null;
+}
+
+/**
+ * Find every entry-level protection rule covering an entry; the user must pass all of them
+ */
+function findEntryProtections(worldName, entry) {
+    const rules = extensionSettings.entryProtections[worldName];
+    if (!rules?.length) return [];
+
+    const keys = Array.isArray(entry.key) ? entry.key : [entry.key];
+    const candidates = [entry.comment, ...keys].filter(Boolean).map(String);
+
+    return rules.filter(rule => {
+        if (rule.match === 'uid') {
+            return String(entry.uid) === String(rule.value);
+        }
+
+        const regexMatch = String(rule.value).match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            try {
+                const regex = new RegExp(regexMatch[1], regexMatch[2]);
+                return candidates.some(text => regex.test(text));
+            } catch (error) {
+                console.warn(`[${extensionName}] Invalid entry protection pattern ${rule.value}:`, error);
+                return false;
+            }
+        }
+
+        const needle = String(rule.value).toLowerCase();
+        return candidates.some(text => text.toLowerCase().includes(needle));
+    });
+}
+
+/**
+ * Check if user may use entries covered by an entry-level protection rule
+ */
+function checkEntryPermission(rule, userId) {
+    return rule.owner === userId || rule.allowedUsers.some(grantee => isGranteeFor(grantee, userId)) || isUserAdmin(userId);
+}
+
+/**
+ * Log a protected entry reaching a non-permitted user, once per generation.
+ * Under a log-only policy the entry is allowed through and recorded as access.
+ */
+function logBlockedEntry(characterId, entry, userId, blocked = true) {
+    const blockKey = `${entry.world}#${entry.uid}`;
+    if (blockedThisGeneration.has(blockKey)) return;
+    blockedThisGeneration.add(blockKey);
+
+    const label = getEntryLabel(entry);
+    if (blocked) {
+        logAccessAttempt(characterId, `Blocked entry "${label}" from ${entry.world} for ${userId}`, 'blocked');
+    } else {
+        logAccessAttempt(characterId, `Protected entry "${label}" from ${entry.world} used by ${userId} (log only)`, 'access');
+    }
+}
+
+/**
+ * Name an entry for the log by its comment, keys or UID
+ */
+function getEntryLabel(entry) {
+    return entry.comment || (Array.isArray(entry.key) ? entry.key.join(', ') : entry.key) || `#${entry.uid}`;
+}
+
+/**
+ * Get the policy for the configured security level
+ */
+function getSecurityPolicy() {
+    return SECURITY_POLICIES[extensionSettings.securityLevel] || SECURITY_POLICIES.medium;
+}
+
+/**
+ * Ask for re-confirmation when the security policy requires it
+ */
+function confirmPolicyAction(message) {
+    if (!getSecurityPolicy().confirmChanges) return true;
+    return confirm(message);
+}
+
+/**
+ * Watch the World Info editor so hidden entries stay hidden across re-renders
+ */
+function observeWorldEditor() {
+    const entriesList = document.getElementById('world_popup_entries_list');
+    if (!entriesList) {
+        console.warn(`[${extensionName}] World Info editor not found; editor protection is inactive`);
+        return;
+    }
+
+    new MutationObserver(applyWorldEditorPolicy).observe(entriesList, { childList: true });
+    $(document).on('change', '#world_editor_select', applyWorldEditorPolicy);
+
+    // Reopening the drawer on the same book counts as a new open
+    $(document).on('click', '#WIDrawerIcon', () => {
+        lastEditorWorld = null;
+        applyWorldEditorPolicy();
+    });
+    applyWorldEditorPolicy();
+}
+
+/**
+ * Lock the open lorebook for users the policy keeps out: entries are masked for users
+ * who may not read it and read-only for users who may not edit it, with a banner naming the owner
+ */
+async function applyWorldEditorPolicy() {
+    const $entries = $('#world_popup_entries_list .world_entry');
+    const worldName = getOpenWorldName();
+    const lock = getWorldLock(worldName);
+
+    setEntriesReadOnly($entries, Boolean(lock));
+    $(WORLD_EDITOR_BOOK_BUTTONS).toggleClass('lorebook-protected-disabled', Boolean(lock));
+    updateWorldLockBanner(worldName, lock);
+    logWorldEditorOpen(worldName, lock);
+
+    // Individually protected entries in an otherwise open book
+    const active = extensionSettings.enabled && getSecurityPolicy().hideInEditor;
+    const data = active && !lock && extensionSettings.entryProtections[worldName]?.length
+        ? await loadWorldInfo(worldName)
+        : null;
+    const userId = getCurrentUserId();
+
+    let unmasked = false;
+    $entries.each(function() {
+        let masked = Boolean(lock && !lock.canRead);
+        if (data) {
+            const entry = data.entries?.[$(this).attr('uid')];
+            masked = Boolean(entry) && !findEntryProtections(worldName, entry).every(rule => checkEntryPermission(rule, userId));
+            setEntriesReadOnly($(this), masked);
+        }
+        unmasked = setEntriesMasked($(this), masked) || unmasked;
+    });
+
+    // Masked fields were blanked, so only SillyTavern rendering the book again brings them back
+    if (unmasked) {
+        $('#world_editor_select').trigger('change');
+    }
+}
+
+/**
+ * Mask or unmask editor entries. Masked entries have their fields blanked so their text is
+ * not left in the page; the inputs are already disabled, so nothing blank is saved back.
+ * Returns true when an entry that was masked no longer is and needs to be rendered again.
+ */
+function setEntriesMasked($entries, masked) {
+    const wasMasked = $entries.filter('.lorebook-protected-masked').length > 0;
+    $entries.toggleClass('lorebook-protected-masked', masked);
+
+    if (masked) {
+        $entries.find('textarea, input:not([type="checkbox"], [type="radio"])').val('').attr('placeholder', 'Protected');
+        $entries.find('select[multiple]').empty();
+        $entries.find('.select2-selection__choice').remove();
+    }
+
+    return wasMasked && !masked;
+}
+
+/**
+ * Get the name of the lorebook open in the World Info editor
+ */
+function getOpenWorldName() {
+    return $('#world_editor_select').find(':selected').text();
+}
+
+/**
+ * Work out whether the editor must lock a lorebook for the current user.
+ * Returns null when the user may read and edit it, otherwise what they may do.
+ */
+function getWorldLock(worldName) {
+    if (!extensionSettings.enabled || !getSecurityPolicy().hideInEditor) return null;
+
+    const characterId = getProtectedWorlds().get(worldName);
+    if (characterId === undefined) return null;
+
+    const userId = getCurrentUserId();
+    const canRead = checkPermission(characterId, userId, 'read');
+    const canEdit = checkPermission(characterId, userId, 'edit');
+    if (canRead && canEdit) return null;
+
+    return {
+        characterId,
+        owner: extensionSettings.permissions[characterId]?.owner,
+        canRead,
+        canEdit,
+        canActivate: checkPermission(characterId, userId, 'activate')
+    };
+}
+
+/**
+ * Disable or re-enable the inputs of editor entries, leaving alone inputs SillyTavern disabled itself
+ */
+function setEntriesReadOnly($entries, readOnly) {
+    $entries.toggleClass('lorebook-protected-readonly', readOnly);
+
+    if (readOnly) {
+        $entries.find('input, textarea, select').not(':disabled').addClass('lorebook-locked-input').prop('disabled', true);
+    } else {
+        $entries.find('.lorebook-locked-input').removeClass('lorebook-locked-input').prop('disabled', false);
+    }
+}
+
+/**
+ * Show or remove the banner above the editor's entries explaining a lock
+ */
+function updateWorldLockBanner(worldName, lock) {
+    let $banner = $('#lorebook-world-lock-banner');
+    if (!lock) {
+        $banner.remove();
+        return;
+    }
+
+    if ($banner.length === 0) {
+        $banner = $('<div id="lorebook-world-lock-banner" class="lorebook-world-lock-banner"></div>');
+        $('#world_popup_entries_list').before($banner);
+    }
+
+    let detail;
+    if (lock.canRead) {
+        detail = 'You can read it but not change it.';
+    } else if (lock.canActivate) {
+        detail = 'Its entries are masked for you, but still work in your chats.';
+    } else {
+        detail = 'Its entries are masked for you and kept out of your chats.';
+    }
+
+    const characterName = getCharacterName(lock.characterId);
+    $banner.html(`
+        <i class="fa-solid fa-lock"></i>
+        <span><b>${escapeHtml(worldName)}</b> is protected by <b>${escapeHtml(lock.owner || 'an unknown owner')}</b> (${escapeHtml(characterName)}). ${detail}</span>
+    `);
+}
+
+/**
+ * Log a user opening a lorebook locked for them, once per open
+ */
+function logWorldEditorOpen(worldName, lock) {
+    if (worldName === lastEditorWorld) return;
+    lastEditorWorld = worldName;
+    if (!lock) return;
+
+    const userId = getCurrentUserId();
+    if (lock.canRead) {
+        logAccessAttempt(lock.characterId, `World Info editor opened ${worldName} read-only for ${userId}`, 'access');
+    } else {
+        logAccessAttempt(lock.characterId, `World Info editor opened ${worldName} masked for ${userId}`, 'blocked');
+    }
+}
+
+/**
+ * Stop editor buttons from changing or copying a locked lorebook or a masked entry
+ */
+function blockLockedEditorAction(event, button) {
+    const worldName = getOpenWorldName();
+    const lock = getWorldLock(worldName);
+    if (!lock && !button.closest('.world_entry.lorebook-protected-readonly')) return false;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    const action = button.title || button.id || 'Editor action';
+    logAccessAttempt(lock?.characterId ?? worldName, `Blocked "${action}" on ${worldName} in the World Info editor for ${getCurrentUserId()}`, 'blocked');
+    showNotification(`${worldName} is protected; only its owner and editors can change it`, 'error');
+    return true;
+}
+
+/**
+ * Intercept actions that copy a protected lorebook out of SillyTavern: character export and
+ * duplication, and lorebook export from the World Info editor. Users who may read the
+ * lorebook are never stopped.
+ */
+function onProtectedActionClick(event) {
+    if (!extensionSettings.enabled) return;
+
+    const editorButton = event.target.closest?.(`${WORLD_EDITOR_BOOK_BUTTONS}, #world_popup_entries_list :is(${WORLD_EDITOR_ENTRY_BUTTONS})`);
+    if (editorButton) {
+        if (!blockLockedEditorAction(event, editorButton) && editorButton.id === 'world_popup_export') {
+            interceptWorldExport(event);
+        }
+        return;
+    }
+
+    // The export button only opens the format menu; the export itself starts from a format
+    const button = event.target.closest?.('#export_button, .export_format, #dupe_button');
+    if (!button) return;
+
+    const character = characters[this_chid];
+    if (!character) return;
+
+    const characterId = getCharacterKey(character);
+    const userId = getCurrentUserId();
+    if (!extensionSettings.permissions[characterId] || checkPermission(characterId, userId, 'read')) return;
+
+    const policy = getSecurityPolicy();
+    const isDuplicate = button.id === 'dupe_button';
+    const action = isDuplicate ? 'Duplication' : 'Export';
+
+    if (!policy.blockExport && !policy.sanitizeExport) {
+        if (button.id !== 'export_button') {
+            logAccessAttempt(characterId, `${action} of protected character by ${userId} (log only)`, 'access');
+        }
+        return;
+    }
+
+    // A duplicate is made on the server, so only exports can be stripped
+    if (!policy.blockExport && !isDuplicate) {
+        if (button.id === 'export_button') return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        exportSanitizedCharacter(character, characterId, $(button).data('format'));
+        return;
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    logAccessAttempt(characterId, `${action} of protected character blocked for ${userId}`, 'blocked');
+    showNotification(`${action} of protected characters is disabled at this security level`, 'error');
+}
+
+/**
+ * Export a protected character without its embedded lorebook
+ */
+async function exportSanitizedCharacter(character, characterId, format) {
+    const userId = getCurrentUserId();
+    $('#export_format_popup').hide();
+
+    try {
+        const response = await fetch('/api/characters/export', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ format, avatar_url: character.avatar })
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const fileName = character.avatar.replace(/\.png$/i, `.${format}`);
+        if (format === 'json') {
+            downloadFile(JSON.stringify(stripCharacterBook(await response.json()), null, 4), fileName, 'application/json');
+        } else {
+            downloadFile(rewritePngCard(new Uint8Array(await response.arrayBuffer()), stripCharacterBook), fileName, 'image/png');
+        }
+
+        logAccessAttempt(characterId, `Exported protected character without its lorebook for ${userId} (${format})`, 'blocked');
+        showNotification(`${character.name} was exported without its protected lorebook`, 'warning');
+    } catch (error) {
+        console.error(`[${extensionName}] Error exporting ${character.name}:`, error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Remove the embedded lorebook and the protection ID from an exported card, in place
+ */
+function stripCharacterBook(card) {
+    delete card.character_book;
+    if (card.data) {
+        delete card.data.character_book;
+        delete card.data.extensions?.character_id;
+    }
+    return card;
+}
+
+/**
+ * Rewrite the card data of a PNG character card: the "chara" (V2) and "ccv3" (V3) tEXt chunks
+ */
+function rewritePngCard(bytes, transform) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const parts = [bytes.subarray(0, 8)];
+    let offset = 8;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const end = offset + 12 + length;
+        const type = decoder.decode(bytes.subarray(offset + 4, offset + 8));
+        let chunk = bytes.subarray(offset, end);
+
+        if (type === 'tEXt') {
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            const separator = data.indexOf(0);
+            const keyword = decoder.decode(data.subarray(0, separator));
+
+            if (keyword === 'chara' || keyword === 'ccv3') {
+                const card = JSON.parse(decoder.decode(fromBase64(decoder.decode(data.subarray(separator + 1)))));
+                chunk = makePngTextChunk(keyword, toBase64(new TextEncoder().encode(JSON.stringify(transform(card)))));
+            }
+        }
+
+        parts.push(chunk);
+        offset = end;
+    }
+
+    return new Blob(parts, { type: 'image/png' });
+}
+
+function makePngTextChunk(keyword, text) {
+    const data = new TextEncoder().encode(`tEXt${keyword}\0${text}`);
+    const chunk = new Uint8Array(data.length + 8);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length - 4);
+    chunk.set(data, 4);
+    view.setUint32(data.length + 4, crc32(data));
+    return chunk;
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Keep individually protected entries out of a lorebook exported from the World Info editor.
+ * Books locked for the user never get here on the medium and high levels.
+ */
+function interceptWorldExport(event) {
+    const worldName = getOpenWorldName();
+    const userId = getCurrentUserId();
+    const characterId = getProtectedWorlds().get(worldName);
+
+    if (characterId !== undefined && !checkPermission(characterId, userId, 'read')) {
+        logAccessAttempt(characterId, `Lorebook ${worldName} exported by ${userId} (log only)`, 'access');
+        return;
+    }
+
+    const denied = (extensionSettings.entryProtections[worldName] || []).filter(rule => !checkEntryPermission(rule, userId));
+    if (denied.length === 0) return;
+
+    if (!getSecurityPolicy().sanitizeExport) {
+        logAccessAttempt(worldName, `Lorebook ${worldName} with protected entries exported by ${userId} (log only)`, 'access');
+        return;
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    exportSanitizedWorld(worldName, userId);
+}
+
+/**
+ * Download a lorebook without the entries a user may not see
+ */
+async function exportSanitizedWorld(worldName, userId) {
+    try {
+        const data = structuredClone(await loadWorldInfo(worldName));
+        let removed = 0;
+
+        Object.entries(data?.entries || {}).forEach(([uid, entry]) => {
+            if (!findEntryProtections(worldName, entry).every(rule => checkEntryPermission(rule, userId))) {
+                delete data.entries[uid];
+                removed++;
+            }
+        });
+
+        const count = `${removed} protected entr${removed === 1 ? 'y' : 'ies'}`;
+        downloadFile(JSON.stringify(data, null, 4), `${worldName}.json`, 'application/json');
+        logAccessAttempt(worldName, `Exported ${worldName} without ${count} for ${userId}`, 'blocked');
+        showNotification(`${worldName} was exported without ${count}`, 'warning');
+    } catch (error) {
+        console.error(`[${extensionName}] Error exporting ${worldName}:`, error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Update the permission list display
+ */
+function updatePermissionList() {
+    // The side panel and the modal show the same list and character picker
+    const $listContainer = $('#lorebook-permissions-list, #modal-permissions-list');
+    const context = getContext();
+    
+    if (!context.characters || context.characters.length === 0) {
+        $listContainer.html('<div class="lorebook-empty-state">No characters found</div>');
+        return;
+    }
+    
+    // Update character select dropdowns, keeping what each one had selected
+    const $selects = $('#lorebook-character-select, #modal-character-select');
+    const selected = $selects.map((i, select) => $(select).val()).get();
+    $selects.empty().append('<option value="">Select character...</option>');
+    
+    let html = '';
+    
+    context.characters.forEach(character => {
+        const characterId = getCharacterKey(character);
+        const characterName = character.name || 'Unknown Character';
+        const permissions = extensionSettings.permissions[characterId];
+        
+        // Add to select dropdown
+        $selects.append(`<option value="${escapeHtml(characterId)}">${escapeHtml(characterName)}</option>`);
+        
+        // Add to list
+        html += `
+            <div class="lorebook-character-item" data-character-id="${escapeHtml(characterId)}">
+                <div class="character-header">
+                    <h4><input type="checkbox" class="lorebook-bulk-select" ${bulkSelection.has(characterId) ? 'checked' : ''}>${escapeHtml(characterName)}</h4>
+                    <span class="character-id">${escapeHtml(characterId)}</span>
+                </div>
+                <div class="permission-info">
+                    <div class="permission-field">
+                        <label>Owner:</label>
+                        <span>${escapeHtml(permissions?.owner || 'Not set')}</span>
+                    </div>
+                    <div class="permission-field">
+                        <label>Allowed Users:</label>
+                        <div class="user-list">
+                            ${getGrantCount(permissions) > 0 
+                                ? Object.entries(permissions.grants).map(([user, grant]) => renderGrantTag(user, grant)).join('')
+                                : '<span class="no-users">No users granted</span>'
+                            }
+                        </div>
+                    </div>
+                    ${renderRuleField(characterId)}
+                </div>
+            </div>
+        `;
+    });
+    
+    $listContainer.html(html || '<div class="lorebook-empty-state">No permissions set</div>');
+    $selects.each((i, select) => $(select).val(selected[i] || ''));
+
+    // Only protected characters have a permission set to copy
+    const $source = $('#lorebook-bulk-source');
+    const source = $source.val();
+    $source.html('<option value="">Source character...</option>' + Object.keys(extensionSettings.permissions).sort()
+        .map(id => `<option value="${escapeHtml(id)}">${escapeHtml(id)}</option>`).join(''));
+    $source.val(source || '');
+
+    filterCharacterList();
+    updateBulkControls();
+    updateGroupMemberBadges();
+}
+
+/**
+ * Render the rules matching a character and how the current user's access was decided
+ */
+function renderRuleField(characterId) {
+    const rules = getMatchingRules(extensionSettings.permissions[characterId]);
+    if (rules.length === 0) return '';
+
+    const explanation = explainPermission(characterId, getCurrentUserId());
+    const tagsHtml = rules.map(rule => {
+        const classes = ['user-tag', 'rule-tag'];
+        if (rule.effect === 'owner-only') classes.push('rule-owner-only');
+        if (explanation.source === 'rule' && explanation.rule !== rule) classes.push('rule-overridden');
+        return `<span class="${classes.join(' ')}">${escapeHtml(describeRule(rule))}</span>`;
+    }).join('');
+
+    return `
+        <div class="permission-field">
+            <label>Rules:</label>
+            <div class="user-list">
+                ${tagsHtml}
+                <span class="permission-explanation">You: ${escapeHtml(explanation.reason)}</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Protect individual entries of a lorebook
+ */
+function addEntryProtection() {
+    const worldName = $('#lorebook-entry-world').val();
+    const match = $('#lorebook-entry-match').val();
+    const value = $('#lorebook-entry-value').val().trim();
+    const names = $('#lorebook-entry-users').val().split(',').map(u => u.trim()).filter(Boolean);
+    const allowedUsers = names.map(resolveGrantee);
+
+    if (!worldName) {
+        showNotification('Please select a lorebook', 'error');
+        return;
+    }
+
+    if (!value) {
+        showNotification(match === 'uid' ? 'Please enter an entry UID' : 'Please enter a key or comment pattern', 'error');
+        return;
+    }
+
+    const unknownGroup = names.find((name, index) => !allowedUsers[index]);
+    if (unknownGroup) {
+        showNotification(`Unknown group: ${unknownGroup}`, 'error');
+        return;
+    }
+
+    if (!canManageEntryRules(worldName)) {
+        showNotification(`Only the owner or a co-owner of ${worldName}'s character can protect its entries`, 'error');
+        return;
+    }
+
+    const rules = extensionSettings.entryProtections[worldName] || [];
+    if (rules.some(rule => rule.match === match && rule.value === value)) {
+        showNotification('These entries are already protected', 'warning');
+        return;
+    }
+
+    rules.push({
+        id: uuidv4(),
+        match,
+        value,
+        allowedUsers,
+        owner: getCurrentUserId(),
+        created: new Date().toISOString()
+    });
+    extensionSettings.entryProtections[worldName] = rules;
+    saveSettings();
+    updateEntryProtectionList();
+    applyWorldEditorPolicy();
+
+    $('#lorebook-entry-value').val('');
+    $('#lorebook-entry-users').val('');
+
+    const description = match === 'uid' ? `entry #${value}` : `entries matching "${value}"`;
+    showNotification(`Protected ${description} in ${worldName}`, 'success');
+    logAccessAttempt(worldName, `Protected ${description}`, 'admin');
+}
+
+/**
+ * Check whether the current user may add entry rules to a lorebook or, given a rule, remove it.
+ * Rules in a protected character's lorebook take manage rights on the character.
+ */
+function canManageEntryRules(worldName, rule = null) {
+    if (isAdmin()) return true;
+
+    const characterId = getProtectedWorlds().get(worldName);
+    if (characterId !== undefined) return canManage(characterId);
+
+    return !rule || rule.owner === getCurrentUserId();
+}
+
+/**
+ * Remove an entry-level protection rule
+ */
+function removeEntryProtection(worldName, ruleId) {
+    const rules = extensionSettings.entryProtections[worldName] || [];
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    if (!canManageEntryRules(worldName, rule)) {
+        showNotification(getProtectedWorlds().has(worldName)
+            ? `Only the owner or a co-owner of ${worldName}'s character can remove its entry protection`
+            : 'Only the creator of this rule can remove it', 'error');
+        return;
+    }
+
+    if (!confirmPolicyAction(`Remove protection for "${rule.value}" in ${worldName}?`)) return;
+
+    extensionSettings.entryProtections[worldName] = rules.filter(r => r.id !== ruleId);
+    if (extensionSettings.entryProtections[worldName].length === 0) {
+        delete extensionSettings.entryProtections[worldName];
+    }
+    saveSettings();
+    updateEntryProtectionList();
+    applyWorldEditorPolicy();
+
+    showNotification(`Entry protection removed from ${worldName}`, 'success');
+    logAccessAttempt(worldName, `Removed protection for "${rule.value}"`, 'admin');
+}
+
+/**
+ * Update the entry-level protection display
+ */
+function updateEntryProtectionList() {
+    const $worldSelect = $('#lorebook-entry-world');
+    const selectedWorld = $worldSelect.val();
+    $worldSelect.empty().append('<option value="">Select lorebook...</option>');
+    (world_names || []).forEach(name => {
+        $worldSelect.append($('<option></option>').val(name).text(name));
+    });
+    $worldSelect.val(selectedWorld || '');
+
+    const $listContainer = $('#lorebook-entry-rules-list');
+    const worlds = Object.entries(extensionSettings.entryProtections);
+
+    if (worlds.length === 0) {
+        $listContainer.html('<div class="lorebook-empty-state">No protected entries</div>');
+        return;
+    }
+
+    const html = worlds.map(([worldName, rules]) => rules.map(rule => `
+        <div class="entry-rule-item">
+            <div class="entry-rule-info">
+                <span class="entry-rule-world">${escapeHtml(worldName)}</span>
+                <span class="entry-rule-match">${rule.match === 'uid' ? `UID #${escapeHtml(rule.value)}` : `Matches "${escapeHtml(rule.value)}"`}</span>
+                <div class="user-list">
+                    ${rule.allowedUsers.length > 0
+                        ? rule.allowedUsers.map(grantee => `<span class="user-tag">${escapeHtml(getGranteeLabel(grantee))}</span>`).join('')
+                        : '<span class="no-users">Owner only</span>'
+                    }
+                </div>
+            </div>
+            <button class="btn btn-small btn-danger lorebook-remove-entry-rule" data-world="${escapeHtml(worldName)}" data-rule-id="${rule.id}" title="Remove protection">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        </div>
+    `).join('')).join('');
+
+    $listContainer.html(html);
+}
+
+/**
+ * Check whether the current user may change tag and folder rules.
+ * Rules reach characters of every owner, so on a shared server only admins may.
+ */
+function canManageRules() {
+    if (!serverStorage || isAdmin()) return true;
+    showNotification('Only an admin can change tag and folder rules', 'error');
+    return false;
+}
+
+/**
+ * Add a rule granting or restricting access to every protected character with a tag or in a folder
+ */
+function addAccessRule() {
+    if (!canManageRules()) return;
+
+    const match = $('#lorebook-rule-match').val();
+    const value = String($('#lorebook-rule-value').val() || '').trim();
+    const effect = $('#lorebook-rule-effect').val();
+    const role = $('#lorebook-rule-role').val();
+
+    if (!value) {
+        showNotification(`Please enter a ${match} name`, 'error');
+        return;
+    }
+
+    const rule = { id: uuidv4(), match, value, effect };
+    if (effect === 'grant') {
+        const target = String($('#lorebook-rule-grantee').val() || '').trim();
+        rule.grantee = resolveGrantee(target);
+        rule.role = RULE_ROLES.includes(role) ? role : 'viewer';
+        if (!rule.grantee) {
+            showNotification(target ? `Unknown group: ${target}` : 'Enter a user ID or @group', 'error');
+            return;
+        }
+    }
+
+    if (extensionSettings.accessRules.some(other => describeRule(other) === describeRule(rule))) {
+        showNotification('This rule already exists', 'warning');
+        return;
+    }
+
+    extensionSettings.accessRules.push({ ...rule, owner: getCurrentUserId(), created: new Date().toISOString() });
+    syncProtectedLorebooks();
+    saveSettings();
+    updateAccessRuleList();
+    updatePermissionList();
+    applyWorldEditorPolicy();
+
+    $('#lorebook-rule-value').val('');
+    $('#lorebook-rule-grantee').val('');
+
+    // Rules never protect a card by themselves, so point out matching cards they leave open
+    const unprotected = (getContext().characters || []).filter(character =>
+        !extensionSettings.permissions[getCharacterKey(character)] && ruleMatches(rule, getCharacterTags(character))).length;
+    if (unprotected > 0) {
+        showNotification(`Rule added: ${describeRule(rule)}. ${unprotected} matching character(s) are not protected and stay open until protected.`, 'warning');
+    } else {
+        showNotification(`Rule added: ${describeRule(rule)}`, 'success');
+    }
+    logAccessAttempt('system', `Rule added: ${describeRule(rule)}`, 'admin');
+}
+
+/**
+ * Remove a tag or folder rule
+ */
+function removeAccessRule(ruleId) {
+    const rule = extensionSettings.accessRules.find(r => r.id === ruleId);
+    if (!rule || !canManageRules()) return;
+
+    if (!confirmPolicyAction(`Remove rule "${describeRule(rule)}"?`)) return;
+
+    extensionSettings.accessRules = extensionSettings.accessRules.filter(r => r.id !== ruleId);
+    saveSettings();
+    updateAccessRuleList();
+    updatePermissionList();
+    applyWorldEditorPolicy();
+
+    showNotification(`Rule removed: ${describeRule(rule)}`, 'success');
+    logAccessAttempt('system', `Rule removed: ${describeRule(rule)}`, 'admin');
+}
+
+/**
+ * Describe a tag or folder rule in one line
+ */
+function describeRule(rule) {
+    const scope = `${rule.match === 'folder' ? 'Folder' : 'Tag'} "${rule.value}"`;
+    return rule.effect === 'owner-only'
+        ? `${scope}: owner only`
+        : `${scope}: ${getGranteeLabel(rule.grantee)} as ${rule.role}`;
+}
+
+/**
+ * Get the rules whose tag or folder a protected character has; unprotected characters match none
+ */
+function getMatchingRules(record) {
+    if (!record) return [];
+
+    return extensionSettings.accessRules.filter(rule => ruleMatches(rule, record));
+}
+
+/**
+ * Check whether a rule's tag or folder is among the { tags, folders } of a record or card
+ */
+function ruleMatches(rule, { tags, folders }) {
+    const names = rule.match === 'folder' ? folders : tags;
+    return (names || []).some(name => name.toLowerCase() === rule.value.toLowerCase());
+}
+
+/**
+ * Update the tag and folder rule display and the tag suggestions
+ */
+function updateAccessRuleList() {
+    $('#lorebook-rule-tags').html((tags || [])
+        .map(tag => `<option value="${escapeHtml(tag.name)}"></option>`).join(''));
+
+    const isGrant = $('#lorebook-rule-effect').val() === 'grant';
+    $('#lorebook-rule-grantee, #lorebook-rule-role').toggle(isGrant);
+
+    const $listContainer = $('#lorebook-access-rules-list');
+    const rules = extensionSettings.accessRules;
+
+    if (rules.length === 0) {
+        $listContainer.html('<div class="lorebook-empty-state">No rules</div>');
+        return;
+    }
+
+    const html = rules.map(rule => {
+        const matched = Object.values(extensionSettings.permissions).filter(record => getMatchingRules(record).includes(rule)).length;
+        return `
+            <div class="entry-rule-item">
+                <div class="entry-rule-info">
+                    <span class="entry-rule-match">${escapeHtml(describeRule(rule))}</span>
+                    <span class="no-users">${matched} protected character${matched === 1 ? '' : 's'}</span>
+                </div>
+                <button class="btn btn-small btn-danger lorebook-remove-access-rule" data-rule-id="${rule.id}" title="Remove rule">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+
+    $listContainer.html(html);
+}
+
+/**
+ * Render the security policy table
+ */
+function updatePolicyDisplay() {
+    const $container = $('#lorebook-security-policy');
+    const levels = Object.keys(SECURITY_POLICIES);
+
+    const header = levels.map(level => `
+        <th class="${level === extensionSettings.securityLevel ? 'current-level' : ''}">${SECURITY_POLICIES[level].label}</th>
+    `).join('');
+
+    const rows = Object.entries(POLICY_FEATURES).map(([feature, label]) => `
+        <tr>
+            <td>${label}</td>
+            ${levels.map(level => `
+                <td class="${level === extensionSettings.securityLevel ? 'current-level' : ''}">
+                    <i class="fa-solid ${SECURITY_POLICIES[level][feature] ? 'fa-check' : 'fa-minus'}"></i>
+                </td>
+            `).join('')}
+        </tr>
+    `).join('');
+
+    $container.html(`
+        <table class="policy-table">
+            <thead><tr><th></th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="policy-description">${getSecurityPolicy().description}</div>
+    `);
+}
+
+/**
+ * Render a grant as a tag; group tags expand to their members on hover
+ */
+function renderGrantTag(grantee, grant) {
+    const roleLabel = ROLES[grant.role]?.label || grant.role;
+    const remaining = formatGrantRemaining(grant);
+    const expiry = remaining ? `<span class="grant-expiry">${remaining}</span>` : '';
+    const inactive = isGrantActive(grant) ? '' : ' grant-inactive';
+
+    if (grantee.startsWith(GROUP_PREFIX)) {
+        const members = extensionSettings.groups[grantee.slice(GROUP_PREFIX.length)]?.members || [];
+        return `
+            <span class="user-tag group-tag role-${grant.role}${inactive}" data-user-id="${escapeHtml(grantee)}" data-role="${grant.role}" title="Click to edit role">
+                <i class="fa-solid fa-users"></i> ${escapeHtml(getGranteeLabel(grantee))} <small>${roleLabel}</small>${expiry}
+                <span class="group-members">${members.length > 0 ? members.map(escapeHtml).join(', ') : 'No members'}</span>
+            </span>
+        `;
+    }
+
+    return `
+        <span class="user-tag role-${grant.role}${inactive}" data-user-id="${escapeHtml(grantee)}" data-role="${grant.role}" title="Click to edit role">
+            ${escapeHtml(grantee)} <small>${roleLabel}</small>${expiry}
+        </span>
+    `;
+}
+
+/**
+ * Create a named user group
+ */
+function createGroup() {
+    const name = $('#lorebook-group-name').val().trim();
+
+    if (!name) {
+        showNotification('Please enter a group name', 'error');
+        return;
+    }
+
+    if (Object.values(extensionSettings.groups).some(group => group.name === name)) {
+        showNotification(`A group named ${name} already exists`, 'warning');
+        return;
+    }
+
+    extensionSettings.groups[uuidv4()] = {
+        name,
+        members: [],
+        owner: getCurrentUserId(),
+        created: new Date().toISOString()
+    };
+    saveSettings();
+    updateGroupList();
+
+    $('#lorebook-group-name').val('');
+    showNotification(`Group @${name} created`, 'success');
+    logAccessAttempt(`@${name}`, 'Group created', 'admin');
+}
+
+/**
+ * Check whether the current user may change a group
+ */
+function canManageGroup(group) {
+    if (group.owner === getCurrentUserId() || isAdmin()) return true;
+    showNotification('Only the creator of this group can change it', 'error');
+    return false;
+}
+
+/**
+ * Rename a user group
+ */
+async function renameGroup(groupId) {
+    const group = extensionSettings.groups[groupId];
+    if (!group || !canManageGroup(group)) return;
+
+    const newName = String(await callGenericPopup('New group name:', POPUP_TYPE.INPUT, group.name) || '').trim();
+    if (!newName || newName === group.name) return;
+
+    if (Object.values(extensionSettings.groups).some(g => g.name === newName)) {
+        showNotification(`A group named ${newName} already exists`, 'warning');
+        return;
+    }
+
+    const oldName = group.name;
+    group.name = newName;
+    saveSettings();
+    updateGroupList();
+    updatePermissionList();
+
+    showNotification(`Group @${oldName} renamed to @${newName}`, 'success');
+    logAccessAttempt(`@${newName}`, `Group renamed from @${oldName}`, 'admin');
+}
+
+/**
+ * Delete a user group and every grant made to it
+ */
+function deleteGroup(groupId) {
+    const group = extensionSettings.groups[groupId];
+    if (!group || !canManageGroup(group)) return;
+
+    if (!confirm(`Delete group @${group.name}? Its members lose access granted through the group.`)) return;
+
+    const grantee = `${GROUP_PREFIX}${groupId}`;
+    Object.values(extensionSettings.permissions).forEach(record => {
+        if (record.grants?.[grantee]) {
+            delete record.grants[grantee];
+            record.modified = new Date().toISOString();
+        }
+    });
+
+    delete extensionSettings.groups[groupId];
+    saveSettings();
+    updateGroupList();
+    updatePermissionList();
+
+    showNotification(`Group @${group.name} deleted`, 'success');
+    logAccessAttempt(`@${group.name}`, 'Group deleted', 'admin');
+}
+
+/**
+ * Add a member to a user group
+ */
+function addGroupMember(groupId, userId) {
+    const group = extensionSettings.groups[groupId];
+    if (!group || !userId || !canManageGroup(group)) return;
+
+    if (group.members.includes(userId)) {
+        showNotification(`${userId} is already in @${group.name}`, 'warning');
+        return;
+    }
+
+    group.members.push(userId);
+    saveSettings();
+    updateGroupList();
+    updatePermissionList();
+
+    showNotification(`${userId} added to @${group.name}`, 'success');
+    logAccessAttempt(`@${group.name}`, `Member ${userId} added`, 'admin');
+}
+
+/**
+ * Remove a member from a user group
+ */
+function removeGroupMember(groupId, userId) {
+    const group = extensionSettings.groups[groupId];
+    if (!group || !canManageGroup(group)) return;
+
+    group.members = group.members.filter(member => member !== userId);
+    saveSettings();
+    updateGroupList();
+    updatePermissionList();
+
+    showNotification(`${userId} removed from @${group.name}`, 'success');
+    logAccessAttempt(`@${group.name}`, `Member ${userId} removed`, 'admin');
+}
+
+/**
+ * Update the user group display and the group picker
+ */
+function updateGroupList() {
+    const groups = Object.entries(extensionSettings.groups);
+
+    const $groupSelect = $('#lorebook-group-select');
+    const selectedGroup = $groupSelect.val();
+    $groupSelect.empty().append('<option value="">Select group...</option>');
+    groups.forEach(([groupId, group]) => {
+        $groupSelect.append($('<option></option>').val(groupId).text(`@${group.name}`));
+    });
+    $groupSelect.val(selectedGroup || '');
+
+    const $listContainer = $('#lorebook-groups-list');
+
+    if (groups.length === 0) {
+        $listContainer.html('<div class="lorebook-empty-state">No groups created</div>');
+        return;
+    }
+
+    const html = groups.map(([groupId, group]) => `
+        <div class="lorebook-group-item" data-group-id="${groupId}">
+            <div class="character-header">
+                <h4><i class="fa-solid fa-users"></i> @${escapeHtml(group.name)}</h4>
+                <div class="group-actions">
+                    <button class="btn btn-small btn-secondary lorebook-rename-group" title="Rename group">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>
+                    <button class="btn btn-small btn-danger lorebook-delete-group" title="Delete group">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="user-list">
+                ${group.members.length > 0
+                    ? group.members.map(member => `
+                        <span class="user-tag member-tag">
+                            ${escapeHtml(member)}
+                            <i class="fa-solid fa-xmark lorebook-remove-member" data-user-id="${escapeHtml(member)}" title="Remove member"></i>
+                        </span>
+                    `).join('')
+                    : '<span class="no-users">No members</span>'
+                }
+            </div>
+            <div class="group-add-member">
+                <input type="text" class="search-input lorebook-member-input" list="lorebook-known-users" placeholder="Add user...">
+                <button class="btn btn-small btn-success lorebook-add-member" title="Add member">
+                    <i class="fa-solid fa-user-plus"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+
+    $listContainer.html(html);
+}
+
+/**
+ * Filter character list based on search and filters
+ */
+function filterCharacterList() {
+    const searchTerm = $('#lorebook-search-characters').val().toLowerCase();
+    const filterType = $('#lorebook-filter-permissions').val();
+    
+    $('.lorebook-character-item').each(function() {
+        const $item = $(this);
+        const characterName = $item.find('h4').text().toLowerCase();
+        const characterId = $item.data('character-id');
+        const permissions = extensionSettings.permissions[characterId];
+        
+        let show = true;
+        
+        // Search filter
+        if (searchTerm && !characterName.includes(searchTerm)) {
+            show = false;
+        }
+        
+        // Permission filter
+        if (filterType === 'has-permissions' && !getGrantCount(permissions)) {
+            show = false;
+        } else if (filterType === 'no-permissions' && getGrantCount(permissions)) {
+            show = false;
+        }
+        
+        $item.toggle(show);
+    });
+}
+
+/**
+ * Check or uncheck every character the search and filter currently show in the side panel
+ */
+function selectAllShown(checked) {
+    $('#lorebook-permissions-list .lorebook-character-item').each(function() {
+        if ($(this).css('display') === 'none') return;
+
+        const characterId = String($(this).data('character-id'));
+        if (checked) {
+            bulkSelection.add(characterId);
+        } else {
+            bulkSelection.delete(characterId);
+        }
+        $(this).find('.lorebook-bulk-select').prop('checked', checked);
+    });
+    updateBulkControls();
+}
+
+/**
+ * Show the inputs the chosen bulk action needs and the size of the selection
+ */
+function updateBulkControls() {
+    const action = $('#lorebook-bulk-action').val();
+    $('#lorebook-bulk-target').toggle(['grant', 'revoke', 'owner'].includes(action))
+        .attr('placeholder', action === 'owner' ? 'New owner user ID' : 'User ID or @group');
+    $('#lorebook-bulk-role').toggle(action === 'grant');
+    $('#lorebook-bulk-source').toggle(action === 'copy');
+
+    $('#lorebook-bulk-count').text(`${bulkSelection.size} selected`);
+    $('#lorebook-bulk-apply').prop('disabled', bulkSelection.size === 0);
+    $('#lorebook-bulk-undo').toggle(bulkUndo !== null)
+        .attr('title', bulkUndo ? `Undo: ${bulkUndo.summary}` : '');
+}
+
+/**
+ * Apply the chosen bulk action to every selected character, as one change with one log entry
+ */
+function applyBulkAction() {
+    const action = $('#lorebook-bulk-action').val();
+    const target = $('#lorebook-bulk-target').val().trim();
+    const role = $('#lorebook-bulk-role').val();
+    const sourceId = $('#lorebook-bulk-source').val();
+    const characterIds = [...bulkSelection];
+    const userId = getCurrentUserId();
+
+    let grantee = null;
+    let description;
+    switch (action) {
+        case 'grant':
+        case 'revoke':
+            grantee = resolveGrantee(target);
+            if (!grantee) {
+                showNotification(target ? `Unknown group: ${target}` : 'Enter a user ID or @group', 'error');
+                return;
+            }
+            description = action === 'grant'
+                ? `Grant ${getGranteeLabel(grantee)} ${role} access`
+                : `Revoke access from ${getGranteeLabel(grantee)}`;
+            break;
+        case 'owner':
+            if (!target || target.startsWith('@')) {
+                showNotification('Enter the user ID of the new owner', 'error');
+                return;
+            }
+            if (isUnknownAccount(target)) {
+                showNotification(`No account named ${target} on this server`, 'error');
+                return;
+            }
+            description = `Set owner to ${target}`;
+            break;
+        case 'copy':
+            if (!extensionSettings.permissions[sourceId]) {
+                showNotification('Choose a protected character to copy from', 'error');
+                return;
+            }
+            description = `Copy permissions from ${sourceId}`;
+            break;
+        case 'clear':
+            description = 'Clear all grants';
+            break;
+        default:
+            return;
+    }
+
+    // Changing the owner is reserved for the current owner and admins
+    const allowed = characterIds.filter(characterId => {
+        if (characterId === sourceId) return false;
+        if (action === 'owner') {
+            const record = extensionSettings.permissions[characterId];
+            return record ? canTransferOwnership(record) : isAdmin() || target === userId;
+        }
+        return canManage(characterId);
+    });
+    const skipped = characterIds.length - allowed.length;
+
+    if (allowed.length === 0) {
+        showNotification('You cannot manage any of the selected characters', 'error');
         return;
     }
-    
-    if (!extensionSettings.permissions[characterId]) {
-        extensionSettings.permissions[characterId] = {
-            allowedUsers: [],
-            owner: getContext().characterId || 'unknown',
-            created: new Date().toISOString()
+
+    const summary = `${description} on ${allowed.length} character${allowed.length === 1 ? '' : 's'}`;
+    if (!confirm(`${summary}?${skipped ? `\n${skipped} selected character(s) you cannot manage will be skipped.` : ''}`)) return;
+
+    // Characters about to be protected get their permanent ID before the snapshot
+    if (action !== 'revoke' && action !== 'clear') {
+        allowed.splice(0, allowed.length, ...allowed.map(claimCharacterId));
+    }
+
+    const before = Object.fromEntries(allowed.map(id => [id, structuredClone(extensionSettings.permissions[id] ?? null)]));
+    const now = new Date().toISOString();
+
+    allowed.forEach(characterId => {
+        const existing = extensionSettings.permissions[characterId];
+        if (!existing && (action === 'revoke' || action === 'clear')) return;
+
+        const record = ensureRecord(characterId);
+        switch (action) {
+            case 'grant':
+                record.grants[grantee] = { role, granted: record.grants[grantee]?.granted || now };
+                break;
+            case 'revoke':
+                delete record.grants[grantee];
+                break;
+            case 'owner':
+                record.owner = target;
+                break;
+            case 'copy':
+                record.grants = structuredClone(extensionSettings.permissions[sourceId].grants || {});
+                break;
+            case 'clear':
+                record.grants = {};
+                break;
+        }
+        record.modified = now;
+    });
+
+    bulkUndo = {
+        summary,
+        before,
+        after: Object.fromEntries(allowed.map(id => [id, extensionSettings.permissions[id]?.modified ?? null]))
+    };
+
+    saveSettings();
+    updatePermissionList();
+    logAccessAttempt('system', `Bulk: ${summary} (${allowed.join(', ')})`, 'admin');
+    showNotification(`${summary}${skipped ? `; ${skipped} skipped` : ''}`, 'success');
+}
+
+/**
+ * Put back the records the last bulk action changed
+ */
+function undoBulkAction() {
+    if (!bulkUndo) return;
+
+    const changedSince = Object.entries(bulkUndo.after)
+        .filter(([id, modified]) => (extensionSettings.permissions[id]?.modified ?? null) !== modified)
+        .map(([id]) => id);
+
+    let message = `Undo "${bulkUndo.summary}"?`;
+    if (changedSince.length > 0) {
+        message += `\n${changedSince.join(', ')} changed since and will lose those changes too.`;
+    }
+    if (!confirm(message)) return;
+
+    Object.entries(bulkUndo.before).forEach(([id, record]) => {
+        if (record) {
+            extensionSettings.permissions[id] = record;
+        } else {
+            delete extensionSettings.permissions[id];
+        }
+    });
+
+    const summary = bulkUndo.summary;
+    bulkUndo = null;
+
+    saveSettings();
+    updatePermissionList();
+    logAccessAttempt('system', `Bulk: undid "${summary}"`, 'admin');
+    showNotification(`Undid: ${summary}`, 'success');
+}
+
+/**
+ * Log access attempts
+ */
+function logAccessAttempt(characterId, action, type = 'access') {
+    const logEntry = {
+        timestamp: new Date().toISOString(),
+        characterId,
+        action,
+        type,
+        user: getCurrentUserId()
+    };
+    
+    extensionSettings.accessLogs.unshift(logEntry);
+
+    if (type === 'blocked') {
+        eventSource.emit(LOREBOOK_EVENTS.ACCESS_BLOCKED, { characterId, user: logEntry.user, message: action, timestamp: logEntry.timestamp });
+    }
+
+    // The server keeps the authoritative log, stamps the user itself and chains the entry
+    if (serverStorage) {
+        pluginRequest('POST', '/logs', { entry: logEntry })
+            .then(({ entry }) => {
+                Object.assign(logEntry, entry);
+                updateLogDisplayDebounced();
+            })
+            .catch(error => console.error(`[${extensionName}] Error sending log entry to server:`, error));
+    } else {
+        appendToLogChain(logEntry);
+    }
+    
+    // The server keeps the whole log, so its cache is trimmed; a local log is archived instead
+    if (extensionSettings.accessLogs.length > LOG_LIMIT) {
+        if (serverStorage) {
+            const dropped = extensionSettings.accessLogs.splice(LOG_LIMIT);
+            extensionSettings.logAnchor = dropped[0].hash || extensionSettings.logAnchor;
+        } else {
+            archiveOldestLogs();
+        }
+    }
+    
+    saveSettings();
+    updateLogDisplayDebounced();
+}
+
+/**
+ * Link a new local log entry to the current chain head, one entry at a time
+ */
+function appendToLogChain(logEntry) {
+    logChain = logChain.then(async () => {
+        logEntry.prevHash = extensionSettings.logChainHead;
+        logEntry.hash = await hashLogEntry(logEntry);
+        extensionSettings.logChainHead = logEntry.hash;
+        saveSettings();
+    }).catch(error => console.error(`[${extensionName}] Error hashing log entry:`, error));
+}
+
+/**
+ * Chain log entries written before the log was hash-chained (local storage only)
+ */
+async function sealLocalLogs() {
+    const logs = extensionSettings.accessLogs;
+    if (serverStorage || logs.length === 0 || logs.some(entry => entry.hash)) return;
+
+    try {
+        let head = extensionSettings.logAnchor;
+        for (const entry of [...logs].reverse()) {
+            entry.prevHash = head;
+            entry.hash = await hashLogEntry(entry);
+            head = entry.hash;
+        }
+        extensionSettings.logChainHead = head;
+        saveSettings();
+        console.log(`[${extensionName}] Sealed ${logs.length} existing log entries into the hash chain`);
+    } catch (error) {
+        console.error(`[${extensionName}] Error sealing existing log entries:`, error);
+    }
+}
+
+/**
+ * SHA-256 of a string as hex. Web Crypto is only available on HTTPS and localhost.
+ */
+async function sha256Hex(text) {
+    if (!window.crypto?.subtle) {
+        throw new Error('Log hashing needs a secure context (HTTPS or localhost)');
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return toHex(digest);
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a log entry together with the hash of the entry before it.
+ * Must match hashLogEntry() in the server plugin.
+ */
+function hashLogEntry(entry) {
+    return sha256Hex(JSON.stringify([entry.timestamp, entry.characterId, entry.action, entry.type, entry.user, entry.prevHash]));
+}
+
+/**
+ * Walk a newest-first log from the oldest entry and report the first broken link
+ */
+async function verifyLogChain(logs, expectedPrev) {
+    let prev = expectedPrev;
+
+    for (let index = logs.length - 1; index >= 0; index--) {
+        const entry = logs[index];
+        let reason = null;
+
+        if (!entry.hash) {
+            reason = 'Entry has no hash';
+        } else if (entry.prevHash !== prev) {
+            reason = 'Entry does not link to the previous entry';
+        } else if (await hashLogEntry(entry) !== entry.hash) {
+            reason = 'Entry was modified after it was written';
+        }
+
+        if (reason) {
+            return { ok: false, checked: logs.length - 1 - index, index, entry, reason };
+        }
+        prev = entry.hash;
+    }
+
+    return { ok: true, checked: logs.length, head: prev };
+}
+
+/**
+ * Get the HMAC key local archives are signed with, creating it on first use.
+ * It lives next to the logs, so it only catches edits made without it.
+ */
+async function getLocalLogKey() {
+    const storageKey = `${extensionName}_log_key`;
+    let secret = localStorage.getItem(storageKey);
+    if (!secret) {
+        secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+        localStorage.setItem(storageKey, secret);
+    }
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * Sign an archive's summary; the head hash commits to every entry in it
+ */
+async function signLogArchive(archive) {
+    const payload = JSON.stringify([archive.archivedAt, archive.archivedBy, archive.count, archive.firstPrevHash, archive.headHash]);
+    return toHex(await crypto.subtle.sign('HMAC', await getLocalLogKey(), new TextEncoder().encode(payload)));
+}
+
+/**
+ * Verify the local archives and the live log
+ */
+async function verifyLocalLogs() {
+    for (const archive of extensionSettings.logArchives) {
+        if (await signLogArchive(archive) !== archive.signature) {
+            return { ok: false, checked: 0, archive: archive.archivedAt, reason: 'Archive signature does not match' };
+        }
+
+        const result = await verifyLogChain(archive.entries, archive.firstPrevHash);
+        if (!result.ok || result.head !== archive.headHash) {
+            return { ...result, ok: false, archive: archive.archivedAt, reason: result.reason || 'Archive entries do not end at the signed head' };
+        }
+    }
+
+    const result = await verifyLogChain(extensionSettings.accessLogs, extensionSettings.logAnchor);
+    if (result.ok && result.head !== extensionSettings.logChainHead) {
+        return { ok: false, checked: result.checked, reason: 'Newest entries are missing from the log' };
+    }
+    return { ...result, archives: extensionSettings.logArchives.length };
+}
+
+/**
+ * Check the access log hash chain and report the first broken link
+ */
+async function verifyLogIntegrity() {
+    await logChain;
+    $('.log-entry.log-broken').removeClass('log-broken');
+
+    try {
+        const result = serverStorage ? await pluginRequest('GET', '/logs/verify') : await verifyLocalLogs();
+        const archives = result.archives ? ` and ${result.archives} archive(s)` : '';
+
+        if (result.ok) {
+            showNotification(`Log integrity verified: ${result.checked} entries${archives}`, 'success');
+            return;
+        }
+
+        let where = 'the newest entry';
+        if (result.archive) {
+            where = `the archive from ${new Date(result.archive).toLocaleString()}`;
+        } else if (result.entry) {
+            where = `the entry from ${new Date(result.entry.timestamp).toLocaleString()} (${result.entry.action})`;
+            $(`.log-entry[data-hash="${result.entry.hash}"]`).addClass('log-broken');
+        }
+
+        console.warn(`[${extensionName}] Log integrity check failed:`, result);
+        showNotification(`Log integrity check failed at ${where}: ${result.reason}`, 'error');
+    } catch (error) {
+        console.error(`[${extensionName}] Error verifying log integrity:`, error);
+        showNotification(`Could not verify the log: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Move the live log into a signed archive and start it over, keeping the chain unbroken.
+ * Returns false if the log could not be archived.
+ */
+async function archiveAccessLogs() {
+    await logChain;
+
+    try {
+        if (serverStorage) {
+            const { archive } = await pluginRequest('POST', '/logs/archive');
+            extensionSettings.accessLogs = [];
+            return archive;
+        }
+
+        const entries = extensionSettings.accessLogs;
+        const archive = {
+            archivedAt: new Date().toISOString(),
+            archivedBy: getCurrentUserId(),
+            count: entries.length,
+            firstPrevHash: extensionSettings.logAnchor,
+            headHash: extensionSettings.logChainHead,
+            entries
         };
+        archive.signature = await signLogArchive(archive);
+
+        extensionSettings.logArchives.push(archive);
+        extensionSettings.accessLogs = [];
+        extensionSettings.logAnchor = archive.headHash;
+        rotateLocalArchives();
+        saveSettings();
+        return archive;
+    } catch (error) {
+        console.error(`[${extensionName}] Error archiving access logs:`, error);
+        showNotification(`Could not archive the access log: ${error.message}`, 'error');
+        return false;
     }
-    
-    if (!extensionSettings.permissions[characterId].allowedUsers.includes(userId)) {
-        extensionSettings.permissions[characterId].allowedUsers.push(userId);
+}
+
+/**
+ * Move the oldest local log entries into a signed archive once the log passes its limit.
+ * Runs on the log chain, after the entries being archived have their hashes.
+ */
+function archiveOldestLogs() {
+    if (archivePending) return;
+    archivePending = true;
+
+    logChain = logChain.then(async () => {
+        archivePending = false;
+        const logs = extensionSettings.accessLogs;
+        if (logs.length <= LOG_LIMIT) return;
+
+        // Entries logged after this job was queued may not be hashed yet; they stay live
+        const entries = logs.slice(LOG_LIMIT - LOG_ARCHIVE_BATCH).filter(entry => entry.hash);
+        if (entries.length < LOG_ARCHIVE_BATCH) return;
+
+        const archive = {
+            archivedAt: new Date().toISOString(),
+            archivedBy: getCurrentUserId(),
+            count: entries.length,
+            firstPrevHash: extensionSettings.logAnchor,
+            headHash: entries[0].hash,
+            entries
+        };
+        archive.signature = await signLogArchive(archive);
+
+        // Entries may have been added while signing, so drop the archived ones by identity
+        const archived = new Set(entries);
+        extensionSettings.logArchives.push(archive);
+        extensionSettings.accessLogs = extensionSettings.accessLogs.filter(entry => !archived.has(entry));
+        extensionSettings.logAnchor = archive.headHash;
+        rotateLocalArchives();
         saveSettings();
-        updatePermissionList();
-        
-        // Clear input
-        $('#lorebook-user-input').val('');
-        
-        showNotification(`Permission granted to ${userId}`, 'success');
-        
-        // Log the action
-        logAccessAttempt(characterId, `Permission granted to ${userId}`, 'admin');
-    } else {
-        showNotification('User already has permission for this character', 'warning');
+    }).catch(error => console.error(`[${extensionName}] Error archiving old log entries:`, error));
+}
+
+/**
+ * Keep localStorage from filling up with archives: past the limit, the oldest are
+ * saved as a download and then removed from the browser
+ */
+function rotateLocalArchives() {
+    const archives = extensionSettings.logArchives;
+    if (archives.length <= LOG_ARCHIVE_LIMIT) return;
+
+    const oldest = archives.slice(0, archives.length - LOG_ARCHIVE_LIMIT);
+    downloadFile(JSON.stringify({ logArchives: oldest }, null, 2), `lorebook-access-log-archives-${serverName}-${Date.now()}.json`, 'application/json');
+
+    extensionSettings.logArchives = archives.slice(oldest.length);
+    showNotification(`Downloaded and removed the ${oldest.length} oldest access log archive${oldest.length === 1 ? '' : 's'}`, 'info');
+    logAccessAttempt('system', `Rotated ${oldest.length} old log archive${oldest.length === 1 ? '' : 's'} out of browser storage into a download`, 'admin');
+}
+
+/**
+ * Update every access log viewer (side panel and modal)
+ */
+function updateLogDisplay() {
+    $('.log-viewer').each(function() {
+        updateLogCharacterFilter($(this));
+        renderLogViewer($(this));
+    });
+}
+
+/**
+ * Fill a viewer's character filter, keeping the current choice
+ */
+function updateLogCharacterFilter($viewer) {
+    const $select = $viewer.find('.log-filter-character');
+    const selected = $select.val();
+    const keys = [...new Set(['system', ...(characters || []).map(getCharacterKey)])];
+
+    $select.html('<option value="">All characters</option>' + keys
+        .map(key => `<option value="${escapeHtml(key)}">${escapeHtml(key)}</option>`)
+        .join(''));
+    $select.val(selected || '');
+}
+
+/**
+ * Read a viewer's filter controls. Dates are local days, turned into a [from, to) range of ISO timestamps.
+ */
+function getLogFilters($viewer) {
+    const from = $viewer.find('.log-filter-from').val();
+    const to = $viewer.find('.log-filter-to').val();
+
+    let toDate = null;
+    if (to) {
+        toDate = new Date(`${to}T00:00:00`);
+        toDate.setDate(toDate.getDate() + 1);
     }
+
+    return {
+        characterId: $viewer.find('.log-filter-character').val() || '',
+        type: $viewer.find('.log-filter-type').val() || '',
+        user: $viewer.find('.log-filter-user').val().trim(),
+        q: $viewer.find('.log-filter-text').val().trim(),
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+        to: toDate ? toDate.toISOString() : '',
+        archived: $viewer.find('.log-filter-archived').prop('checked')
+    };
 }
 
 /**
- * Revoke permission from a user
+ * Check a log entry against viewer filters. Mirrors matchesLogFilters() in the server plugin.
  */
-function revokePermission() {
-    const characterId = $('#lorebook-character-select').val();
-    const userId = $('#lorebook-user-input').val().trim();
-    
-    if (!characterId) {
-        showNotification('Please select a character', 'error');
+function matchesLogFilters(entry, filters) {
+    if (filters.characterId && entry.characterId !== filters.characterId) return false;
+    if (filters.type && entry.type !== filters.type) return false;
+    if (filters.user && !String(entry.user || '').toLowerCase().includes(filters.user.toLowerCase())) return false;
+    if (filters.from && entry.timestamp < filters.from) return false;
+    if (filters.to && entry.timestamp >= filters.to) return false;
+
+    if (filters.q) {
+        const text = [entry.characterId, entry.action, entry.user, entry.type].join(' ').toLowerCase();
+        if (!text.includes(filters.q.toLowerCase())) return false;
+    }
+    return true;
+}
+
+/**
+ * Get one page of matching log entries, newest first, from the server or from local history
+ */
+async function queryAccessLogs(filters, offset = 0, limit = LOG_PAGE_SIZE) {
+    if (serverStorage) {
+        const params = new URLSearchParams({ offset, limit });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value === true ? '1' : value);
+        });
+        return pluginRequest('GET', `/logs?${params}`);
+    }
+
+    let logs = extensionSettings.accessLogs;
+    if (filters.archived) {
+        logs = logs.concat(...[...extensionSettings.logArchives].reverse().map(archive => archive.entries));
+    }
+
+    logs = logs.filter(entry => matchesLogFilters(entry, filters));
+    return { total: logs.length, logs: logs.slice(offset, offset + limit) };
+}
+
+/**
+ * Render the current page of a log viewer
+ */
+async function renderLogViewer($viewer) {
+    const $container = $viewer.find('.logs-container');
+    const page = Number($viewer.data('page')) || 0;
+
+    let result;
+    try {
+        result = await queryAccessLogs(getLogFilters($viewer), page * LOG_PAGE_SIZE);
+    } catch (error) {
+        console.error(`[${extensionName}] Error loading access logs:`, error);
+        $container.html('<div class="lorebook-empty-state">Could not load access logs</div>');
         return;
     }
-    
-    if (!userId) {
-        showNotification('Please enter a user ID', 'error');
+
+    const pages = Math.max(1, Math.ceil(result.total / LOG_PAGE_SIZE));
+    if (page >= pages) {
+        $viewer.data('page', pages - 1);
+        return renderLogViewer($viewer);
+    }
+
+    $viewer.find('.log-page-info').text(`Page ${page + 1} of ${pages} (${result.total} entries)`);
+    $viewer.find('.log-page-prev').prop('disabled', page === 0);
+    $viewer.find('.log-page-next').prop('disabled', page >= pages - 1);
+    $viewer.find('.log-export').prop('disabled', result.total === 0);
+
+    if (result.logs.length === 0) {
+        const hasLogs = result.total > 0 || extensionSettings.accessLogs.length > 0;
+        $container.html(`<div class="lorebook-empty-state">${hasLogs ? 'No matching log entries' : 'No access logs'}</div>`);
         return;
     }
-    
-    if (extensionSettings.permissions[characterId] && 
-        extensionSettings.permissions[characterId].allowedUsers.includes(userId)) {
-        
-        extensionSettings.permissions[characterId].allowedUsers = 
-            extensionSettings.permissions[characterId].allowedUsers.filter(u => u !== userId);
-        saveSettings();
-        updatePermissionList();
-        
-        // Clear input
-        $('#lorebook-user-input').val('');
-        
-        showNotification(`Permission revoked from ${userId}`, 'success');
-        
-        // Log the action
-        logAccessAttempt(characterId, `Permission revoked from ${userId}`, 'admin');
-    } else {
-        showNotification('User does not have permission for this character', 'warning');
+
+    const html = result.logs.map(log => `
+        <div class="log-entry log-${escapeHtml(log.type)}" data-hash="${escapeHtml(log.hash || '')}">
+            <div class="log-time">${new Date(log.timestamp).toLocaleString()}</div>
+            <div class="log-user">${escapeHtml(log.user || 'unknown')}</div>
+            <div class="log-character">${escapeHtml(log.characterId)}</div>
+            <div class="log-action">${escapeHtml(log.action)}</div>
+        </div>
+    `).join('');
+
+    $container.html(html).scrollTop(0);
+}
+
+/**
+ * Download every entry matching a viewer's filters as CSV or JSONL
+ */
+async function exportFilteredLogs($viewer, format) {
+    try {
+        const { logs } = await queryAccessLogs(getLogFilters($viewer), 0, LOG_EXPORT_LIMIT);
+        if (logs.length === 0) {
+            showNotification('No log entries match the filters', 'warning');
+            return;
+        }
+
+        const fields = ['timestamp', 'user', 'type', 'characterId', 'action', 'hash'];
+        const content = format === 'csv'
+            ? [fields.join(','), ...logs.map(log => fields.map(field => toCsvField(log[field])).join(','))].join('\r\n')
+            : logs.map(log => JSON.stringify(log)).join('\n');
+
+        downloadFile(content, `lorebook-access-log-${serverName}-${Date.now()}.${format}`,
+            format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+        logAccessAttempt('system', `Exported ${logs.length} log entries as ${format.toUpperCase()}`, 'admin');
+        showNotification(`Exported ${logs.length} log entries`, 'success');
+    } catch (error) {
+        console.error(`[${extensionName}] Error exporting access logs:`, error);
+        showNotification(`Log export failed: ${error.message}`, 'error');
     }
 }
 
 /**
- * Update the permission list display
+ * Quote a CSV field, defusing values a spreadsheet would run as a formula
  */
-function updatePermissionList() {
-    const $listContainer = $('#lorebook-permissions-list');
-    const context = getContext();
-    
-    if (!context.characters || context.characters.length === 0) {
-        $listContainer.html('<div class="lorebook-empty-state">No characters found</div>');
+function toCsvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Save text as a file through the browser
+ */
+function downloadFile(content, fileName, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Clear access logs, keeping them in a signed archive
+ */
+async function clearAccessLogs() {
+    if (!confirm('Clear the access log? Current entries are moved to a signed archive.')) return;
+
+    const archive = await archiveAccessLogs();
+    if (!archive) return;
+
+    updateLogDisplay();
+    logAccessAttempt('system', `Archived ${archive.count} log entries`, 'admin');
+    showNotification(`Access log archived (${archive.count} entries) and cleared`, 'success');
+}
+
+/**
+ * Export permission data, optionally only some characters and optionally encrypted
+ */
+async function exportPermissionData() {
+    const options = await promptExportOptions();
+    if (!options) return;
+
+    await logChain;
+
+    let exportData;
+    if (options.characterIds) {
+        exportData = {
+            version: EXPORT_VERSION,
+            timestamp: new Date().toISOString(),
+            serverName,
+            scope: 'characters',
+            settings: getCharacterExportSettings(options.characterIds)
+        };
+    } else {
+        const logs = extensionSettings.accessLogs;
+        exportData = {
+            version: EXPORT_VERSION,
+            timestamp: new Date().toISOString(),
+            serverName,
+            // Lets an import check that the exported log was not edited
+            logChainHead: serverStorage ? (logs[0]?.hash || LOG_GENESIS) : extensionSettings.logChainHead,
+            logChainAnchor: serverStorage ? (logs[logs.length - 1]?.prevHash || LOG_GENESIS) : extensionSettings.logAnchor,
+            settings: extensionSettings
+        };
+    }
+
+    const scope = options.characterIds ? `${options.characterIds.length} character(s)` : 'all settings';
+    try {
+        if (options.passphrase) {
+            const bundle = await encryptExport(JSON.stringify(exportData), options.passphrase);
+            // The file name stays generic so it does not reveal where it came from
+            downloadFile(JSON.stringify(bundle, null, 2), `lorebook-protection-encrypted-${Date.now()}.json`, 'application/json');
+        } else {
+            downloadFile(JSON.stringify(exportData, null, 2), `lorebook-protection-${serverName}-${Date.now()}.json`, 'application/json');
+        }
+    } catch (error) {
+        console.error(`[${extensionName}] Export error:`, error);
+        showNotification(`Export failed: ${error.message}`, 'error');
         return;
     }
-    
-    // Update character select dropdown
-    const $select = $('#lorebook-character-select');
-    $select.empty().append('<option value="">Select character...</option>');
-    
-    let html = '';
-    
-    context.characters.forEach(character => {
-        const characterId = character.data?.extensions?.character_id || character.name;
-        const characterName = character.name || 'Unknown Character';
-        const permissions = extensionSettings.permissions[characterId];
-        
-        // Add to select dropdown
-        $select.append(`<option value="${characterId}">${characterName}</option>`);
-        
-        // Add to list
-        html += `
-            <div class="lorebook-character-item" data-character-id="${characterId}">
-                <div class="character-header">
-                    <h4>${characterName}</h4>
-                    <span class="character-id">${characterId}</span>
-                </div>
-                <div class="permission-info">
-                    <div class="permission-field">
-                        <label>Owner:</label>
-                        <span>${permissions?.owner || 'Not set'}</span>
-                    </div>
-                    <div class="permission-field">
-                        <label>Allowed Users:</label>
-                        <div class="user-list">
-                            ${permissions?.allowedUsers?.length > 0 
-                                ? permissions.allowedUsers.map(user => `<span class="user-tag">${user}</span>`).join('')
-                                : '<span class="no-users">No users granted</span>'
-                            }
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-    });
-    
-    $listContainer.html(html || '<div class="lorebook-empty-state">No permissions set</div>');
+
+    logAccessAttempt('system', `Exported ${scope}${options.passphrase ? ' (encrypted)' : ''}`, 'admin');
+    showNotification('Permission data exported', 'success');
 }
 
 /**
- * Filter character list based on search and filters
+ * Ask what to export and whether to encrypt it.
+ * Returns { characterIds, passphrase } (characterIds null for everything), or null if cancelled.
  */
-function filterCharacterList() {
-    const searchTerm = $('#lorebook-search-characters').val().toLowerCase();
-    const filterType = $('#lorebook-filter-permissions').val();
-    
-    $('.lorebook-character-item').each(function() {
-        const $item = $(this);
-        const characterName = $item.find('h4').text().toLowerCase();
-        const characterId = $item.data('character-id');
-        const permissions = extensionSettings.permissions[characterId];
-        
-        let show = true;
-        
-        // Search filter
-        if (searchTerm && !characterName.includes(searchTerm)) {
-            show = false;
+async function promptExportOptions() {
+    const characterIds = Object.keys(extensionSettings.permissions).sort();
+    const characterHtml = characterIds.map(characterId => `
+        <label class="checkbox-label">
+            <input type="checkbox" class="lorebook-export-character" value="${escapeHtml(characterId)}">
+            <span>${escapeHtml(characterId)}</span>
+        </label>
+    `).join('');
+
+    const $form = $(`
+        <div class="lorebook-export-form">
+            <h3>Export permission data</h3>
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="radio" name="lorebook-export-scope" value="all" checked>
+                    <span>Everything, including the access log</span>
+                </label>
+                <label class="checkbox-label">
+                    <input type="radio" name="lorebook-export-scope" value="characters" ${characterIds.length === 0 ? 'disabled' : ''}>
+                    <span>Selected characters only, without logs</span>
+                </label>
+            </div>
+            <div class="lorebook-export-characters">${characterHtml}</div>
+            <div class="form-group">
+                <label>Passphrase (optional, encrypts the file):</label>
+                <input type="password" class="text_pole lorebook-export-passphrase" autocomplete="new-password">
+                <input type="password" class="text_pole lorebook-export-passphrase-confirm" placeholder="Repeat passphrase" autocomplete="new-password">
+            </div>
+        </div>
+    `);
+
+    const $characters = $form.find('.lorebook-export-characters').hide();
+    $form.find('input[name="lorebook-export-scope"]').on('change', function() {
+        $characters.toggle($(this).val() === 'characters');
+    });
+
+    const result = await callGenericPopup($form, POPUP_TYPE.CONFIRM, '', { okButton: 'Export', cancelButton: 'Cancel', allowVerticalScrolling: true });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+
+    let selected = null;
+    if ($form.find('input[name="lorebook-export-scope"]:checked').val() === 'characters') {
+        selected = $form.find('.lorebook-export-character:checked').map((i, input) => input.value).get();
+        if (selected.length === 0) {
+            showNotification('Select at least one character to export', 'warning');
+            return null;
         }
-        
-        // Permission filter
-        if (filterType === 'has-permissions' && (!permissions || !permissions.allowedUsers?.length)) {
-            show = false;
-        } else if (filterType === 'no-permissions' && permissions?.allowedUsers?.length) {
-            show = false;
+    }
+
+    const passphrase = $form.find('.lorebook-export-passphrase').val();
+    if (passphrase) {
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            showNotification(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+            return null;
         }
-        
-        $item.toggle(show);
-    });
+        if (passphrase !== $form.find('.lorebook-export-passphrase-confirm').val()) {
+            showNotification('Passphrases do not match', 'error');
+            return null;
+        }
+    }
+
+    return { characterIds: selected, passphrase };
 }
 
 /**
- * Log access attempts
+ * Settings for a partial export: the chosen records plus the groups and entry rules they rely on
  */
-function logAccessAttempt(characterId, action, type = 'access') {
-    const logEntry = {
-        timestamp: new Date().toISOString(),
-        characterId,
-        action,
-        type,
-        user: getContext().user_avatar || 'unknown'
-    };
-    
-    extensionSettings.accessLogs.unshift(logEntry);
-    
-    // Keep only last 1000 entries
-    if (extensionSettings.accessLogs.length > 1000) {
-        extensionSettings.accessLogs = extensionSettings.accessLogs.slice(0, 1000);
-    }
-    
-    saveSettings();
-    updateLogDisplay();
+function getCharacterExportSettings(characterIds) {
+    const permissions = {};
+    const groups = {};
+    const entryProtections = {};
+
+    characterIds.forEach(characterId => {
+        const record = extensionSettings.permissions[characterId];
+        if (!record) return;
+        permissions[characterId] = structuredClone(record);
+
+        const grantees = Object.keys(record.grants || {});
+        (record.lorebooks || []).forEach(worldName => {
+            if (extensionSettings.entryProtections[worldName]) {
+                entryProtections[worldName] = structuredClone(extensionSettings.entryProtections[worldName]);
+                entryProtections[worldName].forEach(rule => grantees.push(...rule.allowedUsers));
+            }
+        });
+
+        grantees
+            .filter(grantee => grantee.startsWith(GROUP_PREFIX))
+            .forEach(grantee => {
+                const groupId = grantee.slice(GROUP_PREFIX.length);
+                if (extensionSettings.groups[groupId]) {
+                    groups[groupId] = structuredClone(extensionSettings.groups[groupId]);
+                }
+            });
+    });
+
+    return { settingsVersion: SETTINGS_VERSION, permissions, groups, entryProtections };
 }
 
 /**
- * Update access log display
+ * Encrypt an export with a key derived from a passphrase (PBKDF2-SHA-256, AES-256-GCM)
  */
-function updateLogDisplay() {
-    const $logContainer = $('#lorebook-access-logs');
-    const recentLogs = extensionSettings.accessLogs.slice(0, 50);
-    
-    if (recentLogs.length === 0) {
-        $logContainer.html('<div class="lorebook-empty-state">No access logs</div>');
-        return;
+async function encryptExport(plaintext, passphrase) {
+    if (!window.crypto?.subtle) {
+        throw new Error('Encryption needs a secure context (HTTPS or localhost)');
     }
-    
-    const html = recentLogs.map(log => `
-        <div class="log-entry log-${log.type}">
-            <div class="log-time">${new Date(log.timestamp).toLocaleString()}</div>
-            <div class="log-character">${log.characterId}</div>
-            <div class="log-action">${log.action}</div>
-        </div>
-    `).join('');
-    
-    $logContainer.html(html);
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveExportKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+    return {
+        format: ENCRYPTED_FORMAT,
+        version: EXPORT_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        data: toBase64(ciphertext)
+    };
 }
 
 /**
- * Clear access logs
+ * Decrypt an encrypted export bundle, throwing if the passphrase is wrong or the file was changed
  */
-function clearAccessLogs() {
-    if (confirm('Are you sure you want to clear all access logs?')) {
-        extensionSettings.accessLogs = [];
-        saveSettings();
-        updateLogDisplay();
-        showNotification('Access logs cleared', 'success');
+async function decryptExport(bundle, passphrase) {
+    if (!window.crypto?.subtle) {
+        throw new Error('Decryption needs a secure context (HTTPS or localhost)');
+    }
+    const iterations = bundle.kdf?.iterations;
+    if (bundle.kdf?.name !== 'PBKDF2' || bundle.cipher?.name !== 'AES-GCM' || !(iterations >= 100000 && iterations <= 10000000)) {
+        throw new Error('Unsupported encryption method');
+    }
+
+    const key = await deriveExportKey(passphrase, fromBase64(bundle.kdf.salt), iterations);
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(bundle.cipher.iv) }, key, fromBase64(bundle.data));
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        throw new Error('Wrong passphrase or damaged file');
+    }
+}
+
+async function deriveExportKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
 }
 
 /**
- * Export permission data
+ * Ask for the passphrase of an encrypted bundle and return the export inside it, or null if cancelled
  */
-function exportPermissionData() {
-    const exportData = {
-        version: '1.0.0',
-        timestamp: new Date().toISOString(),
-        serverName,
-        settings: extensionSettings
-    };
-    
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(dataBlob);
-    link.download = `lorebook-protection-${serverName}-${Date.now()}.json`;
-    link.click();
-    
-    showNotification('Permission data exported', 'success');
+async function openEncryptedExport(bundle) {
+    const passphrase = await callGenericPopup('This export is encrypted. Enter its passphrase:', POPUP_TYPE.INPUT, '');
+    if (!passphrase) return null;
+
+    return JSON.parse(await decryptExport(bundle, String(passphrase)));
 }
 
 /**
@@ -576,22 +4774,17 @@ function importPermissionData() {
         if (!file) return;
         
         const reader = new FileReader();
-        reader.onload = function(event) {
+        reader.onload = async function(event) {
             try {
-                const importData = JSON.parse(event.target.result);
-                
-                if (importData.settings) {
-                    extensionSettings = { ...extensionSettings, ...importData.settings };
-                    saveSettings();
-                    updatePermissionList();
-                    updateLogDisplay();
-                    showNotification('Permission data imported successfully', 'success');
-                } else {
-                    showNotification('Invalid import file format', 'error');
+                let importData = JSON.parse(event.target.result);
+                if (importData?.format === ENCRYPTED_FORMAT) {
+                    importData = await openEncryptedExport(importData);
+                    if (!importData) return;
                 }
+                await applyImportData(importData);
             } catch (error) {
                 console.error('Import error:', error);
-                showNotification('Failed to import permission data', 'error');
+                showNotification(`Failed to import permission data: ${error.message}`, 'error');
             }
         };
         
@@ -601,20 +4794,366 @@ function importPermissionData() {
     input.click();
 }
 
+/**
+ * Validate an export, let the user choose merge or replace, preview the changes and apply them
+ */
+async function applyImportData(importData) {
+    const { data, errors } = prepareImportData(importData);
+    if (errors.length > 0) {
+        console.warn(`[${extensionName}] Import file failed validation:`, errors);
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        showNotification(`Invalid import file: ${errors.slice(0, 3).join('; ')}${more}`, 'error');
+        return;
+    }
+
+    // A partial export would wipe every other character if it replaced the settings
+    const choice = data.scope === 'characters' ? POPUP_RESULT.AFFIRMATIVE : await callGenericPopup(
+        '<h3>Import permission data</h3>' +
+        '<p><b>Merge</b> adds the file\'s grants to the current ones; where both have a character, the newer record wins.</p>' +
+        '<p><b>Replace</b> discards current permissions and uses the file as it is.</p>',
+        POPUP_TYPE.CONFIRM, '',
+        { okButton: 'Merge', cancelButton: 'Cancel', customButtons: [{ text: 'Replace', result: POPUP_RESULT.CUSTOM1 }] }
+    );
+    if (choice !== POPUP_RESULT.AFFIRMATIVE && choice !== POPUP_RESULT.CUSTOM1) return;
+    const mode = choice === POPUP_RESULT.CUSTOM1 ? 'replace' : 'merge';
+
+    // The server keeps its own log, and merging two chains would break both
+    const importLogs = mode === 'replace' && !serverStorage;
+    if (importLogs && !await verifyImportedLogs(data)) return;
+
+    const next = mode === 'replace' ? replaceSettings(data.settings) : mergeSettings(extensionSettings, data.settings);
+    if (!importLogs) {
+        next.accessLogs = extensionSettings.accessLogs;
+        next.logChainHead = extensionSettings.logChainHead;
+        next.logAnchor = extensionSettings.logAnchor;
+    }
+    next.logArchives = extensionSettings.logArchives;
+
+    const diff = diffSettings(extensionSettings, next);
+    if (importLogs) {
+        diff.other.push({ kind: 'changed', text: `Access log replaced with ${next.accessLogs.length} entries; the current log is archived` });
+    }
+    if (diff.characters.length === 0 && diff.other.length === 0) {
+        showNotification('Nothing to import: the file matches the current settings', 'info');
+        return;
+    }
+
+    const confirmed = await callGenericPopup(renderImportPreview(diff, mode), POPUP_TYPE.CONFIRM, '',
+        { okButton: 'Apply import', cancelButton: 'Cancel', wide: true, allowVerticalScrolling: true });
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    if (importLogs) {
+        if (extensionSettings.accessLogs.length > 0 && !await archiveAccessLogs()) return;
+
+        // Legacy logs without a chain are sealed onto the current head
+        next.logArchives = extensionSettings.logArchives;
+        next.logChainHead = data.logChainHead || extensionSettings.logChainHead;
+        next.logAnchor = data.logChainHead ? (data.logChainAnchor || LOG_GENESIS) : extensionSettings.logChainHead;
+    }
+
+    extensionSettings = next;
+    await sealLocalLogs();
+    saveSettings();
+    refreshDisplays();
+    applyWorldEditorPolicy();
+
+    logAccessAttempt('system', `Imported permission data (${mode}): ${diff.characters.length} character(s) changed`, 'admin');
+    showNotification('Permission data imported successfully', 'success');
+}
+
+/**
+ * Upgrade an export file to the current format and validate it.
+ * Returns the upgraded data and a list of problems; nothing is applied here.
+ */
+function prepareImportData(importData) {
+    if (!isPlainObject(importData) || !isPlainObject(importData.settings)) {
+        return { data: null, errors: ['Not a Lorebook Protection export'] };
+    }
+
+    const major = parseInt(importData.version, 10) || 1;
+    const currentMajor = parseInt(EXPORT_VERSION, 10);
+    if (major > currentMajor) {
+        return { data: null, errors: [`File was made by a newer version (${importData.version}); update the extension first`] };
+    }
+
+    let data = importData;
+    for (let version = major; version < currentMajor; version++) {
+        data = EXPORT_MIGRATIONS[version] ? EXPORT_MIGRATIONS[version](data) : data;
+    }
+
+    let settings;
+    try {
+        settings = migrateSettings(structuredClone(data.settings));
+    } catch (error) {
+        return { data: null, errors: [`Settings could not be upgraded: ${error.message}`] };
+    }
+    return { data: { ...data, settings }, errors: validateImportSettings(settings) };
+}
+
+/**
+ * Check the shape of imported settings, returning human-readable errors
+ */
+function validateImportSettings(settings) {
+    const errors = [];
+    const optional = (key, check, message) => {
+        if (settings[key] !== undefined && !check(settings[key])) errors.push(message);
+    };
+
+    optional('permissions', isPlainObject, 'permissions must be an object');
+    optional('groups', isPlainObject, 'groups must be an object');
+    optional('entryProtections', isPlainObject, 'entryProtections must be an object');
+    optional('accessRules', Array.isArray, 'accessRules must be a list');
+    optional('accessRequests', Array.isArray, 'accessRequests must be a list');
+    optional('accessLogs', Array.isArray, 'accessLogs must be a list');
+    optional('securityLevel', level => Object.hasOwn(SECURITY_POLICIES, level), 'securityLevel must be low, medium or high');
+    ['enabled', 'autoCleanup', 'notificationEnabled'].forEach(key => {
+        optional(key, value => typeof value === 'boolean', `${key} must be true or false`);
+    });
+    if (errors.length > 0) return errors;
+
+    Object.entries(settings.permissions || {}).forEach(([characterId, record]) => {
+        if (!isPlainObject(record)) {
+            errors.push(`${characterId}: record must be an object`);
+            return;
+        }
+        if (record.owner !== undefined && typeof record.owner !== 'string') {
+            errors.push(`${characterId}: owner must be a user ID`);
+        }
+        if (record.lorebooks !== undefined && !(Array.isArray(record.lorebooks) && record.lorebooks.every(name => typeof name === 'string'))) {
+            errors.push(`${characterId}: lorebooks must be a list of names`);
+        }
+        if (!isPlainObject(record.grants || {})) {
+            errors.push(`${characterId}: grants must be an object`);
+            return;
+        }
+
+        Object.entries(record.grants || {}).forEach(([grantee, grant]) => {
+            if (!isPlainObject(grant) || !ROLES[grant.role]) {
+                errors.push(`${characterId}: grant for ${grantee} has an unknown role`);
+            } else if (grant.expires && isNaN(Date.parse(grant.expires))) {
+                errors.push(`${characterId}: grant for ${grantee} has an invalid expiry`);
+            } else if (grant.maxUses !== undefined && !(Number.isInteger(grant.maxUses) && grant.maxUses > 0)) {
+                errors.push(`${characterId}: grant for ${grantee} has an invalid use limit`);
+            }
+        });
+    });
+
+    Object.entries(settings.groups || {}).forEach(([groupId, group]) => {
+        if (!isPlainObject(group) || typeof group.name !== 'string' || !Array.isArray(group.members)) {
+            errors.push(`Group ${groupId} must have a name and a member list`);
+        }
+    });
+
+    Object.entries(settings.entryProtections || {}).forEach(([worldName, rules]) => {
+        if (!Array.isArray(rules) || !rules.every(rule => isPlainObject(rule) && rule.id)) {
+            errors.push(`Entry protections for ${worldName} must be a list of rules with IDs`);
+        }
+    });
+
+    (settings.accessRules || []).forEach((rule, index) => {
+        if (!isPlainObject(rule) || !rule.id || !['tag', 'folder'].includes(rule.match) || typeof rule.value !== 'string') {
+            errors.push(`Rule ${index + 1} must have an ID and a tag or folder name`);
+        } else if (rule.effect === 'grant' ? !(typeof rule.grantee === 'string' && RULE_ROLES.includes(rule.role)) : rule.effect !== 'owner-only') {
+            errors.push(`Rule ${index + 1} must be owner-only or grant a viewer or editor role`);
+        }
+    });
+
+    (settings.accessRequests || []).forEach((request, index) => {
+        if (!isPlainObject(request) || !request.id || !request.characterId || !['pending', 'approved', 'denied'].includes(request.status)) {
+            errors.push(`Access request ${index + 1} is incomplete`);
+        }
+    });
+
+    (settings.accessLogs || []).forEach((entry, index) => {
+        if (!isPlainObject(entry) || typeof entry.timestamp !== 'string') {
+            errors.push(`Log entry ${index + 1} has no timestamp`);
+        }
+    });
+
+    return errors;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Build settings from an import alone, keeping only known keys
+ */
+function replaceSettings(imported) {
+    const defaults = getDefaultSettings();
+    return Object.fromEntries(Object.keys(defaults).map(key => [key, structuredClone(imported[key] ?? defaults[key])]));
+}
+
+/**
+ * Merge an import into current settings: grants are united, and where both sides have a
+ * character the more recently modified record supplies everything else and wins grant conflicts.
+ * Groups, entry rules, tag and folder rules and requests are added when missing; local preferences stay as they are.
+ */
+function mergeSettings(current, imported) {
+    const merged = structuredClone(current);
+
+    Object.entries(imported.permissions || {}).forEach(([characterId, incoming]) => {
+        const existing = merged.permissions[characterId];
+        if (!existing) {
+            merged.permissions[characterId] = structuredClone(incoming);
+            return;
+        }
+
+        const incomingNewer = getRecordTime(incoming) > getRecordTime(existing);
+        const [newer, older] = incomingNewer ? [structuredClone(incoming), existing] : [existing, structuredClone(incoming)];
+        merged.permissions[characterId] = { ...newer, grants: { ...(older.grants || {}), ...(newer.grants || {}) } };
+    });
+
+    Object.entries(imported.groups || {}).forEach(([groupId, group]) => {
+        merged.groups[groupId] ??= structuredClone(group);
+    });
+
+    Object.entries(imported.entryProtections || {}).forEach(([worldName, rules]) => {
+        const existing = merged.entryProtections[worldName] ||= [];
+        rules.filter(rule => !existing.some(other => other.id === rule.id))
+            .forEach(rule => existing.push(structuredClone(rule)));
+    });
+
+    (imported.accessRules || [])
+        .filter(rule => !merged.accessRules.some(other => other.id === rule.id))
+        .forEach(rule => merged.accessRules.push(structuredClone(rule)));
+
+    (imported.accessRequests || [])
+        .filter(request => !merged.accessRequests.some(other => other.id === request.id))
+        .forEach(request => merged.accessRequests.push(structuredClone(request)));
+
+    return merged;
+}
+
+function getRecordTime(record) {
+    return Date.parse(record.modified || record.created) || 0;
+}
+
+/**
+ * List what applying new settings would change, per character and overall
+ */
+function diffSettings(current, next) {
+    const characters = [];
+    const ids = [...new Set([...Object.keys(current.permissions), ...Object.keys(next.permissions)])].sort();
+
+    ids.forEach(characterId => {
+        const before = current.permissions[characterId];
+        const after = next.permissions[characterId];
+        const changes = [];
+
+        if (!before) {
+            changes.push({ kind: 'added', text: `Protected, owned by ${after.owner || 'unknown'}` });
+        } else if (!after) {
+            changes.push({ kind: 'removed', text: 'Protection removed' });
+        } else if (before.owner !== after.owner) {
+            changes.push({ kind: 'changed', text: `Owner ${before.owner || 'unknown'} → ${after.owner || 'unknown'}` });
+        }
+
+        const grantsBefore = before?.grants || {};
+        const grantsAfter = after?.grants || {};
+        [...new Set([...Object.keys(grantsBefore), ...Object.keys(grantsAfter)])].forEach(grantee => {
+            const oldGrant = grantsBefore[grantee];
+            const newGrant = grantsAfter[grantee];
+
+            if (!oldGrant) {
+                changes.push({ kind: 'added', text: describeGrant(grantee, newGrant, next.groups) });
+            } else if (!newGrant) {
+                changes.push({ kind: 'removed', text: describeGrant(grantee, oldGrant, current.groups) });
+            } else if (describeGrant(grantee, oldGrant, current.groups) !== describeGrant(grantee, newGrant, current.groups)) {
+                changes.push({ kind: 'changed', text: `${describeGrant(grantee, oldGrant, current.groups)} → ${newGrant.role}${describeGrantTerms(newGrant)}` });
+            }
+        });
+
+        if (changes.length > 0) {
+            characters.push({ characterId, changes });
+        }
+    });
+
+    const other = [];
+    const countChange = (label, before, after) => {
+        if (before !== after) other.push({ kind: 'changed', text: `${label}: ${before} → ${after}` });
+    };
+    countChange('User groups', Object.keys(current.groups).length, Object.keys(next.groups).length);
+    countChange('Entry protection rules', Object.values(current.entryProtections).flat().length, Object.values(next.entryProtections).flat().length);
+    countChange('Tag and folder rules', current.accessRules.length, next.accessRules.length);
+    countChange('Access requests', current.accessRequests.length, next.accessRequests.length);
+    if (current.securityLevel !== next.securityLevel) {
+        other.push({ kind: 'changed', text: `Security level: ${current.securityLevel} → ${next.securityLevel}` });
+    }
+
+    return { characters, other };
+}
+
+function describeGrant(grantee, grant, groups) {
+    return `${getGranteeLabel(grantee, groups)} as ${grant.role}${describeGrantTerms(grant)}`;
+}
+
+function describeGrantTerms(grant) {
+    const terms = [];
+    if (grant.expires) terms.push(`until ${new Date(grant.expires).toLocaleString()}`);
+    if (grant.maxUses) terms.push(`${grant.maxUses} uses`);
+    return terms.length > 0 ? ` (${terms.join(', ')})` : '';
+}
+
+/**
+ * Render the import preview shown before anything is applied
+ */
+function renderImportPreview(diff, mode) {
+    const symbols = { added: '+', removed: '−', changed: '~' };
+    const renderChanges = changes => `<ul>${changes.map(change =>
+        `<li class="import-diff-${change.kind}">${symbols[change.kind]} ${escapeHtml(change.text)}</li>`).join('')}</ul>`;
+
+    const characterHtml = diff.characters.map(({ characterId, changes }) => `
+        <div class="import-preview-character">
+            <strong>${escapeHtml(characterId)}</strong>
+            ${renderChanges(changes)}
+        </div>
+    `).join('');
+
+    return `
+        <h3>Review import (${mode})</h3>
+        <div class="lorebook-import-preview">
+            ${characterHtml || '<div class="lorebook-empty-state">No character permissions change</div>'}
+            ${diff.other.length > 0 ? `<div class="import-preview-character"><strong>Other settings</strong>${renderChanges(diff.other)}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Check the log in an export against the chain head it was exported with.
+ * Returns false if the user decides not to import it.
+ */
+async function verifyImportedLogs(importData) {
+    // Exports from before the log was chained have nothing to check
+    if (!importData.logChainHead) return true;
+
+    let result;
+    try {
+        result = await verifyLogChain(importData.settings.accessLogs || [], importData.logChainAnchor || LOG_GENESIS);
+        if (result.ok && result.head !== importData.logChainHead) {
+            result = { ok: false, reason: 'Log does not end at the exported chain head' };
+        }
+    } catch (error) {
+        result = { ok: false, reason: error.message };
+    }
+
+    if (result.ok) return true;
+
+    console.warn(`[${extensionName}] Imported log failed verification:`, result);
+    return confirm(`The access log in this file failed verification (${result.reason}). It may have been edited after export. Import anyway?`);
+}
+
 /**
  * Reset extension settings
  */
-function resetSettings() {
+async function resetSettings() {
     if (confirm('Are you sure you want to reset all settings? This will clear all permissions and logs.')) {
-        extensionSettings = {
-            enabled: true,
-            panelPosition: 'right',
-            permissions: {},
-            accessLogs: [],
-            securityLevel: 'medium',
-            autoCleanup: true,
-            notificationEnabled: true
-        };
+        // The log is archived like a normal clear so the reset leaves a trace
+        if (!await archiveAccessLogs()) return;
+
+        const { logChainHead, logAnchor, logArchives } = extensionSettings;
+        extensionSettings = { ...getDefaultSettings(), logChainHead, logAnchor, logArchives };
         
         saveSettings();
         updatePermissionList();
@@ -623,6 +5162,8 @@ function resetSettings() {
         // Update UI controls
         $(`#${extensionName}-enabled`).prop('checked', true);
         $(`#${extensionName}-security-level`).val('medium');
+        updatePolicyDisplay();
+        applyWorldEditorPolicy();
         
         showNotification('Settings reset to defaults', 'success');
     }
@@ -649,7 +5190,8 @@ function updateDynamicTitles() {
  * Select a character in the list
  */
 function selectCharacter(characterId) {
-    $('#lorebook-character-select').val(characterId);
+    $('#lorebook-character-select, #modal-character-select').val(characterId);
+    updateRequestAccessButton();
     
     // Highlight selected item
     $('.lorebook-character-item').removeClass('selected');
@@ -662,12 +5204,14 @@ function selectCharacter(characterId) {
 function showNotification(message, type = 'info') {
     if (!extensionSettings.notificationEnabled) return;
     
+    // Messages carry user-supplied names and IDs, so they are set as text
     const toast = $(`
         <div class="lorebook-toast lorebook-toast-${type}">
             <i class="fa-solid fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
         </div>
     `);
+    toast.find('span').text(message);
     
     $('body').append(toast);
     
@@ -682,39 +5226,176 @@ function showNotification(message, type = 'info') {
 }
 
 /**
- * Check if user has permission for character
+ * Check if user may perform an action on a character's lorebook.
+ * Actions: 'read' (view in editor), 'activate' (use in prompts), 'edit', 'manage' (grant/revoke).
+ */
+function checkPermission(characterId, userId, action = 'activate') {
+    return explainPermission(characterId, userId, action).allowed;
+}
+
+/**
+ * Explain whether a user may perform an action on a character and what decided it.
+ * The owner is always allowed; otherwise the user's explicit grants decide, and only
+ * users without one fall back to tag and folder rules, where "owner only" beats any grant.
+ * Returns { allowed, source, reason, rule }, source being owner, grant, rule, admin or none.
  */
-function checkPermission(characterId, userId) {
+function explainPermission(characterId, userId, action = 'activate') {
     const permissions = extensionSettings.permissions[characterId];
-    const context = getContext();
-    
-    // Owner always has access
+    let result;
+
+    // Owner may do everything
     if (permissions?.owner === userId) {
-        return true;
+        return { allowed: true, source: 'owner', reason: 'Owner' };
     }
-    
-    // Check allowed users
-    if (permissions?.allowedUsers?.includes(userId)) {
-        return true;
+
+    // Check the user's role, including roles granted to their groups
+    const effective = getEffectiveGrant(permissions, userId);
+    if (effective) {
+        const role = ROLES[effective.grant.role];
+        const via = effective.grantee === userId ? '' : ` through ${getGranteeLabel(effective.grantee)}`;
+        result = {
+            allowed: Boolean(role?.actions.includes(action)),
+            source: 'grant',
+            reason: `${role?.label || effective.grant.role} grant${via}`
+        };
+    } else {
+        result = explainRules(getMatchingRules(permissions), userId, action);
+        if (!permissions) result.reason = 'Not protected';
     }
-    
-    // Admin override (if implemented)
-    if (context.user && context.user.admin) {
-        return true;
+
+    // Admin override
+    if (!result.allowed && isUserAdmin(userId)) {
+        return { allowed: true, source: 'admin', reason: `Admin override (${result.reason})` };
     }
-    
-    return false;
+
+    return result;
+}
+
+/**
+ * Decide access from the tag and folder rules matching a character
+ */
+function explainRules(rules, userId, action) {
+    const ownerOnly = rules.find(rule => rule.effect === 'owner-only');
+    if (ownerOnly) {
+        return { allowed: false, source: 'rule', rule: ownerOnly, reason: `Denied by rule ${describeRule(ownerOnly)}` };
+    }
+
+    const roleNames = Object.keys(ROLES);
+    const best = rules
+        .filter(rule => rule.effect === 'grant' && RULE_ROLES.includes(rule.role) && isGranteeFor(rule.grantee, userId))
+        .sort((a, b) => roleNames.indexOf(b.role) - roleNames.indexOf(a.role))[0];
+    if (best) {
+        const allowed = ROLES[best.role].actions.includes(action);
+        return { allowed, source: 'rule', rule: best, reason: `${allowed ? 'Allowed' : 'Not enough'} by rule ${describeRule(best)}` };
+    }
+
+    return { allowed: false, source: 'none', reason: 'No grant or rule' };
+}
+
+/**
+ * Check whether the current session has server admin rights
+ */
+function isAdmin() {
+    // The server plugin checks changes against its own view of the account
+    if (serverUser) return Boolean(serverUser.admin);
+    return Boolean(getIdentity()?.admin);
+}
+
+/**
+ * Check whether a user has admin rights: the session's own for the current user, the
+ * account list's for anyone else
+ */
+function isUserAdmin(userId) {
+    if (userId === getCurrentUserId()) return isAdmin();
+    return Boolean(knownAccounts.find(account => account.handle === userId)?.admin);
+}
+
+/**
+ * Turn a character as other extensions pass it (a permission key, a character object or
+ * an index into the character list) into its permission key
+ */
+function resolveCharacterKey(char) {
+    if (typeof char === 'number') {
+        const character = getContext().characters?.[char];
+        return character ? getCharacterKey(character) : null;
+    }
+    if (char && typeof char === 'object') {
+        return getCharacterKey(char);
+    }
+    return char ? String(char) : null;
+}
+
+/**
+ * Public API: check whether a user may do something with a character's lorebooks.
+ * Characters that are not protected allow everything.
+ */
+async function checkFromApi(char, user = getCurrentUserId(), action = 'activate') {
+    const characterId = resolveCharacterKey(char);
+    if (!extensionSettings.permissions[characterId]) return true;
+    return checkPermission(characterId, user, action);
+}
+
+/**
+ * Public API: grant a role, with the same checks and confirmation as the panel.
+ * Resolves to { success, message } once the server plugin has stored the change.
+ */
+async function grantFromApi(char, grantee, options = {}) {
+    await pullServerSettings();
+    const expires = options.expires instanceof Date ? options.expires.toISOString() : options.expires || null;
+    return commitApiChange(grantPermission(resolveCharacterKey(char), grantee, { ...options, expires }));
 }
 
 /**
- * Make functions globally available for debugging
+ * Public API: revoke a grant. Resolves to { success, message } like grantFromApi().
+ */
+async function revokeFromApi(char, grantee) {
+    await pullServerSettings();
+    return commitApiChange(revokePermission(resolveCharacterKey(char), grantee));
+}
+
+async function commitApiChange(result) {
+    if (result.success && !await pushServerSettings()) {
+        return { success: false, message: 'Change rejected by the server' };
+    }
+    return result;
+}
+
+/**
+ * Public API: list a character's grants, with whether each one is still active
+ */
+async function listGrantsFromApi(char) {
+    const record = extensionSettings.permissions[resolveCharacterKey(char)];
+    return Object.entries(record?.grants || {})
+        .map(([grantee, grant]) => ({ grantee, ...structuredClone(grant), active: isGrantActive(grant) }));
+}
+
+/**
+ * Public API: call back on every permission change; returns a function that unsubscribes
+ */
+function onPermissionChange(callback) {
+    eventSource.on(LOREBOOK_EVENTS.PERMISSION_CHANGED, callback);
+    return () => eventSource.removeListener(LOREBOOK_EVENTS.PERMISSION_CHANGED, callback);
+}
+
+/**
+ * The stable API for other extensions comes first; the rest is for debugging and may change
  */
 window.LorebookProtectionSystem = {
+    check: checkFromApi,
+    grant: grantFromApi,
+    revoke: revokeFromApi,
+    listGrants: listGrantsFromApi,
+    onChange: onPermissionChange,
+    events: LOREBOOK_EVENTS,
+
     checkPermission,
+    explainPermission,
     grantPermission,
     revokePermission,
+    transferOwnership,
     settings: () => extensionSettings,
     showPermissionModal,
+    hidePermissionModal,
     exportPermissionData,
     importPermissionData
 };
@@ -0,0 +1,747 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { reconcileLinks, summarizeReport, listUsers, getWorldFileName } = require('./symlinks');
+
+// Plugin configuration
+const pluginId = 'lorebook-protection';
+const STORE_VERSION = 1;
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+// Setting keys shared by every user of the server; everything else stays in the browser
+const SHARED_KEYS = ['permissions', 'entryProtections', 'groups', 'accessRules', 'accessRequests', 'securityLevel', 'autoCleanup'];
+
+// Keys only an admin may change; tag and folder rules reach characters of every owner
+const ADMIN_KEYS = ['accessRules', 'securityLevel', 'autoCleanup'];
+
+// prevHash of the first entry ever written
+const LOG_GENESIS = '0'.repeat(64);
+
+const ROLE_ORDER = ['viewer', 'editor', 'co-owner'];
+const REQUEST_STATUSES = ['pending', 'approved', 'denied'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const GROUP_PREFIX = 'group:';
+
+const info = {
+    id: pluginId,
+    name: 'Lorebook Protection',
+    description: 'Server-side permission storage and audit log for the Lorebook Protection extension'
+};
+
+let dataRoot = null;
+let storeDir = null;
+let symlinksEnabled = true;
+let getUser = defaultGetUser;
+let writeQueue = Promise.resolve();
+let chainHead = LOG_GENESIS;
+
+/**
+ * Initialize the plugin and register its routes.
+ * options.dataRoot and options.getUser allow running against a plain Express router;
+ * options.symlinks = false keeps lorebook files where they are.
+ */
+async function init(router, options = {}) {
+    dataRoot = options.dataRoot || globalThis.DATA_ROOT || path.join(process.cwd(), 'data');
+    storeDir = path.join(dataRoot, '_lorebook-protection');
+    getUser = options.getUser || defaultGetUser;
+    symlinksEnabled = options.symlinks !== false;
+
+    await fs.promises.mkdir(path.join(storeDir, 'archives'), { recursive: true });
+    chainHead = await sealLogChain();
+
+    router.get('/ping', handle(async (req, res) => {
+        const user = getUser(req);
+        res.json({ ok: true, version: STORE_VERSION, user });
+    }));
+
+    router.get('/users', handle(async (req, res) => {
+        res.json({ users: await listUsers(dataRoot) });
+    }));
+
+    router.get('/permissions', handle(async (req, res) => {
+        res.json(await readStore());
+    }));
+
+    router.put('/permissions', handle(async (req, res) => {
+        const body = await readJsonBody(req);
+        const user = getUser(req);
+
+        if (!body || typeof body.data !== 'object') {
+            return res.status(400).json({ error: 'Missing data' });
+        }
+
+        await enqueueWrite(async () => {
+            const store = await readStore();
+
+            if (body.revision !== undefined && body.revision !== store.revision) {
+                return res.status(409).json({ error: 'Permissions changed on the server', revision: store.revision });
+            }
+
+            const next = pickShared(body.data, store.data);
+            const errors = validateChanges(store.data, next, user);
+            if (errors.length > 0) {
+                return res.status(403).json({ error: 'Permission denied', details: errors });
+            }
+
+            store.data = next;
+            store.revision++;
+            store.modified = new Date().toISOString();
+            await writeJson(getStorePath(), store);
+
+            res.json({ ok: true, revision: store.revision });
+
+            // Grants and revokes take effect on the filesystem right away
+            await syncLinks(store.data);
+        });
+    }));
+
+    router.post('/symlinks/reconcile', handle(async (req, res) => {
+        if (!getUser(req).admin) {
+            return res.status(403).json({ error: 'Only an admin can reconcile lorebook links' });
+        }
+        if (!symlinksEnabled) {
+            return res.status(400).json({ error: 'Symlink isolation is disabled' });
+        }
+
+        const report = await enqueueWrite(async () => reconcileLinks(dataRoot, (await readStore()).data));
+        res.json({ ok: true, report, summary: summarizeReport(report) });
+    }));
+
+    router.get('/logs', handle(async (req, res) => {
+        const query = req.query || {};
+        const limit = Math.min(parseInt(query.limit, 10) || 1000, 100000);
+        const offset = parseInt(query.offset, 10) || 0;
+
+        let logs = await readLogs();
+        if (query.archived === '1') {
+            const archives = await readArchives();
+            logs = logs.concat(...archives.reverse().map(archive => archive.entries || []));
+        }
+
+        logs = logs.filter(entry => matchesLogFilters(entry, query));
+        res.json({ total: logs.length, logs: logs.slice(offset, offset + limit) });
+    }));
+
+    router.post('/logs', handle(async (req, res) => {
+        const body = await readJsonBody(req);
+        const user = getUser(req);
+        const entry = body?.entry;
+
+        if (!entry || typeof entry !== 'object') {
+            return res.status(400).json({ error: 'Missing entry' });
+        }
+
+        // The server decides who wrote the entry and when
+        const stored = {
+            timestamp: new Date().toISOString(),
+            characterId: String(entry.characterId ?? ''),
+            action: String(entry.action ?? ''),
+            type: String(entry.type || 'access'),
+            user: user.handle
+        };
+
+        // Chain each entry to the one before it, in write order
+        await enqueueWrite(async () => {
+            stored.prevHash = chainHead;
+            stored.hash = hashLogEntry(stored);
+            await fs.promises.appendFile(getLogPath(), JSON.stringify(stored) + '\n', 'utf8');
+            chainHead = stored.hash;
+        });
+        res.json({ ok: true, entry: stored });
+    }));
+
+    router.get('/logs/verify', handle(async (req, res) => {
+        const logs = await readLogs();
+        const archives = await readArchives();
+        const secret = await getLogSecret();
+
+        // Archives must carry a valid signature and link up with each other and the live log
+        let expectedPrev = LOG_GENESIS;
+        for (const archive of archives) {
+            const result = verifyArchive(archive, secret, expectedPrev);
+            if (!result.ok) {
+                return res.json({ ...result, archive: archive.archivedAt });
+            }
+            expectedPrev = archive.headHash;
+        }
+
+        const result = verifyLogChain(logs, expectedPrev);
+        if (result.ok && result.head !== chainHead) {
+            return res.json({ ok: false, checked: result.checked, reason: 'Newest entries are missing from the log', archives: archives.length });
+        }
+        res.json({ ...result, archives: archives.length });
+    }));
+
+    router.post('/logs/archive', handle(async (req, res) => {
+        const user = getUser(req);
+        if (!user.admin) {
+            return res.status(403).json({ error: 'Only an admin can clear the access log' });
+        }
+
+        const archive = await enqueueWrite(async () => {
+            const entries = await readLogs();
+            const snapshot = {
+                archivedAt: new Date().toISOString(),
+                archivedBy: user.handle,
+                count: entries.length,
+                firstPrevHash: entries.length > 0 ? entries[entries.length - 1].prevHash : chainHead,
+                headHash: chainHead,
+                entries
+            };
+            snapshot.signature = signArchive(snapshot, await getLogSecret());
+
+            const fileName = `${snapshot.archivedAt.replace(/[:.]/g, '-')}.json`;
+            await writeJson(path.join(storeDir, 'archives', fileName), snapshot);
+            await fs.promises.writeFile(getLogPath(), '', 'utf8');
+            return { ...snapshot, entries: undefined, file: fileName };
+        });
+
+        res.json({ ok: true, archive });
+    }));
+
+    router.get('/logs/archives', handle(async (req, res) => {
+        const archives = await readArchives();
+        res.json(archives.map(({ entries, ...summary }) => summary));
+    }));
+
+    router.get('/requests', handle(async (req, res) => {
+        const store = await readStore();
+        const status = req.query?.status;
+        const requests = store.data.accessRequests || [];
+        res.json(status ? requests.filter(request => request.status === status) : requests);
+    }));
+
+    console.log(`[${pluginId}] Plugin loaded, storing data in ${storeDir}`);
+
+    // Repair links left over from while the server was down
+    await enqueueWrite(async () => syncLinks((await readStore()).data));
+}
+
+/**
+ * Bring lorebook links in line with the permission store, logging what changed
+ */
+async function syncLinks(data) {
+    if (!symlinksEnabled) return;
+
+    try {
+        const report = await reconcileLinks(dataRoot, data);
+        const summary = summarizeReport(report);
+        if (summary !== 'no changes') {
+            console.log(`[${pluginId}] Lorebook links updated: ${summary}`);
+        }
+        report.errors.forEach(error => console.warn(`[${pluginId}] Link error: ${error}`));
+    } catch (error) {
+        console.error(`[${pluginId}] Error updating lorebook links:`, error);
+    }
+}
+
+/**
+ * Clean up on server shutdown
+ */
+async function exit() {
+    await writeQueue;
+}
+
+/**
+ * Resolve the requesting user from SillyTavern's user middleware.
+ * Without multi-user accounts there is a single user with admin rights.
+ */
+function defaultGetUser(req) {
+    const profile = req.user?.profile;
+    if (!profile) {
+        return { handle: 'default-user', admin: true };
+    }
+    return { handle: profile.handle, admin: Boolean(profile.admin) };
+}
+
+/**
+ * Wrap an async route so errors become JSON responses
+ */
+function handle(fn) {
+    return async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            console.error(`[${pluginId}] ${req.method} ${req.path} failed:`, error);
+            if (!res.headersSent) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        }
+    };
+}
+
+/**
+ * Read a JSON request body, whether or not a body parser ran before us
+ */
+function readJsonBody(req) {
+    if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+        return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            data += chunk;
+            if (data.length > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Run writes one at a time so concurrent requests cannot interleave
+ */
+function enqueueWrite(fn) {
+    const result = writeQueue.then(fn);
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+function getStorePath() {
+    return path.join(storeDir, 'store.json');
+}
+
+function getLogPath() {
+    return path.join(storeDir, 'access-log.jsonl');
+}
+
+/**
+ * Read the permission store, creating an empty one on first use
+ */
+async function readStore() {
+    try {
+        const store = JSON.parse(await fs.promises.readFile(getStorePath(), 'utf8'));
+        store.data = pickShared(store.data || {}, {});
+        return store;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { version: STORE_VERSION, revision: 0, data: pickShared({}, {}) };
+    }
+}
+
+/**
+ * Read the access log, newest first
+ */
+async function readLogs() {
+    try {
+        const lines = (await fs.promises.readFile(getLogPath(), 'utf8')).split('\n').filter(Boolean);
+        const logs = [];
+        lines.forEach(line => {
+            try {
+                logs.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`[${pluginId}] Skipping unreadable log line`);
+            }
+        });
+        return logs.reverse();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return [];
+    }
+}
+
+/**
+ * Mirror of the client's log filter: exact character and type, partial user and text,
+ * and a [from, to) range of ISO timestamps
+ */
+function matchesLogFilters(entry, filters) {
+    if (filters.characterId && entry.characterId !== filters.characterId) return false;
+    if (filters.type && entry.type !== filters.type) return false;
+    if (filters.user && !String(entry.user || '').toLowerCase().includes(String(filters.user).toLowerCase())) return false;
+    if (filters.from && entry.timestamp < filters.from) return false;
+    if (filters.to && entry.timestamp >= filters.to) return false;
+
+    if (filters.q) {
+        const text = [entry.characterId, entry.action, entry.user, entry.type].join(' ').toLowerCase();
+        if (!text.includes(String(filters.q).toLowerCase())) return false;
+    }
+    return true;
+}
+
+/**
+ * Hash a log entry together with the hash of the entry before it.
+ * Must match hashLogEntry() in the client extension.
+ */
+function hashLogEntry(entry) {
+    const canonical = JSON.stringify([entry.timestamp, entry.characterId, entry.action, entry.type, entry.user, entry.prevHash]);
+    return crypto.createHash('sha256').update(canonical, 'utf8').digest('hex');
+}
+
+/**
+ * Walk a newest-first log from the oldest entry and report the first broken link
+ */
+function verifyLogChain(logs, expectedPrev) {
+    let prev = expectedPrev;
+
+    for (let index = logs.length - 1; index >= 0; index--) {
+        const entry = logs[index];
+        let reason = null;
+
+        if (!entry.hash) {
+            reason = 'Entry has no hash';
+        } else if (entry.prevHash !== prev) {
+            reason = 'Entry does not link to the previous entry';
+        } else if (hashLogEntry(entry) !== entry.hash) {
+            reason = 'Entry was modified after it was written';
+        }
+
+        if (reason) {
+            return { ok: false, checked: logs.length - 1 - index, index, entry, reason };
+        }
+        prev = entry.hash;
+    }
+
+    return { ok: true, checked: logs.length, head: prev };
+}
+
+/**
+ * Check an archive's signature and the chain of the entries it holds
+ */
+function verifyArchive(archive, secret, expectedPrev) {
+    const expected = signArchive(archive, secret);
+    if (typeof archive.signature !== 'string' || archive.signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(archive.signature), Buffer.from(expected))) {
+        return { ok: false, checked: 0, reason: 'Archive signature does not match' };
+    }
+    if (archive.firstPrevHash !== expectedPrev) {
+        return { ok: false, checked: 0, reason: 'Archive does not link to the previous archive' };
+    }
+
+    const result = verifyLogChain(archive.entries || [], archive.firstPrevHash);
+    if (result.ok && result.head !== archive.headHash) {
+        return { ok: false, checked: result.checked, reason: 'Archive entries do not end at the signed head' };
+    }
+    return result;
+}
+
+function signArchive(archive, secret) {
+    const payload = JSON.stringify([archive.archivedAt, archive.archivedBy, archive.count, archive.firstPrevHash, archive.headHash]);
+    return crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('hex');
+}
+
+/**
+ * Get the key archives are signed with, creating it on first use
+ */
+async function getLogSecret() {
+    const secretPath = path.join(storeDir, 'log-secret.key');
+    try {
+        return await fs.promises.readFile(secretPath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        const secret = crypto.randomBytes(32).toString('hex');
+        await fs.promises.writeFile(secretPath, secret, { encoding: 'utf8', mode: 0o600 });
+        return secret;
+    }
+}
+
+/**
+ * Read archived log snapshots, oldest first
+ */
+async function readArchives() {
+    const dir = path.join(storeDir, 'archives');
+    const files = (await fs.promises.readdir(dir).catch(() => [])).filter(file => file.endsWith('.json')).sort();
+    const archives = [];
+    for (const file of files) {
+        archives.push({ ...JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')), file });
+    }
+    return archives;
+}
+
+/**
+ * Find the hash new log entries chain to: the newest entry, or the head of the last archive.
+ * Entries written before the log was chained are sealed into the chain first.
+ */
+async function sealLogChain() {
+    const archives = await readArchives();
+    let head = archives.length > 0 ? archives[archives.length - 1].headHash : LOG_GENESIS;
+
+    const logs = (await readLogs()).reverse();
+    if (logs.length === 0) return head;
+    if (logs.every(entry => entry.hash)) return logs[logs.length - 1].hash;
+
+    logs.forEach(entry => {
+        if (!entry.hash) {
+            entry.prevHash = head;
+            entry.hash = hashLogEntry(entry);
+        }
+        head = entry.hash;
+    });
+
+    await fs.promises.writeFile(getLogPath(), logs.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+    console.log(`[${pluginId}] Sealed existing access log entries into the hash chain`);
+    return head;
+}
+
+/**
+ * Write JSON atomically so a crash never leaves a half-written store
+ */
+async function writeJson(filePath, value) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(value, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Keep only the shared keys, falling back to current values
+ */
+function pickShared(data, fallback) {
+    const defaults = {
+        permissions: {},
+        entryProtections: {},
+        groups: {},
+        accessRules: [],
+        accessRequests: [],
+        securityLevel: 'medium',
+        autoCleanup: true
+    };
+
+    const result = {};
+    SHARED_KEYS.forEach(key => {
+        result[key] = data[key] !== undefined ? data[key] : (fallback[key] !== undefined ? fallback[key] : defaults[key]);
+    });
+    return result;
+}
+
+/**
+ * Check that the requesting user may make every change between two store snapshots.
+ * Returns a list of human-readable reasons for rejected changes.
+ */
+function validateChanges(current, next, user) {
+    // Requests are shown to other users, so even admins may only store well-formed ones
+    const errors = validateRequestShapes(current, next);
+    if (user.admin) return errors;
+
+    ADMIN_KEYS.forEach(key => {
+        if (!isEqual(current[key], next[key])) {
+            errors.push(`Only an admin can change ${key}`);
+        }
+    });
+
+    // Character permission records
+    unionKeys(current.permissions, next.permissions).forEach(characterId => {
+        const before = current.permissions[characterId];
+        const after = next.permissions[characterId];
+        if (isEqual(before, after)) return;
+
+        if (!before) {
+            if (after.owner !== user.handle) {
+                errors.push(`New record for ${characterId} must be owned by ${user.handle}`);
+            }
+            return;
+        }
+
+        // Unprotecting a character removes every link to its books, so it is the owner's call
+        if (!after) {
+            if (before.owner !== user.handle) {
+                errors.push(`Only the owner of ${characterId} can unprotect it`);
+            }
+            return;
+        }
+
+        // Co-owners manage grants, but only the owner may hand the character on
+        if (before.owner !== after.owner && before.owner !== user.handle) {
+            errors.push(`Only the owner of ${characterId} can transfer it`);
+            return;
+        }
+
+        if (canManageRecord(before, current.groups, user.handle)) {
+            // Co-owners manage grants only; the card and lorebooks a record covers stay with its owner
+            if (before.owner !== user.handle && !isEqual(withoutGrants(before), withoutGrants(after))) {
+                errors.push(`Only the owner of ${characterId} can change what it protects`);
+            }
+            return;
+        }
+
+        // Anyone may count quota usage and drop grants that are no longer active
+        if (isHousekeepingChange(before, after, current.groups, user.handle)) return;
+
+        errors.push(`Not allowed to manage ${characterId}`);
+    });
+
+    // User groups
+    unionKeys(current.groups, next.groups).forEach(groupId => {
+        const before = current.groups[groupId];
+        const after = next.groups[groupId];
+        if (isEqual(before, after)) return;
+
+        const owner = before ? before.owner : after.owner;
+        if (owner !== user.handle) {
+            errors.push(`Not allowed to change group ${(before || after).name}`);
+        }
+    });
+
+    // Entry-level protection rules
+    unionKeys(current.entryProtections, next.entryProtections).forEach(worldName => {
+        const before = indexById(current.entryProtections[worldName]);
+        const after = indexById(next.entryProtections[worldName]);
+
+        unionKeys(before, after).forEach(ruleId => {
+            if (isEqual(before[ruleId], after[ruleId])) return;
+            if (!canManageEntryRule(current, worldName, before[ruleId], after[ruleId], user.handle)) {
+                errors.push(`Not allowed to change entry protection in ${worldName}`);
+            }
+        });
+    });
+
+    // Access requests
+    const requestsBefore = indexById(current.accessRequests);
+    const requestsAfter = indexById(next.accessRequests);
+    unionKeys(requestsBefore, requestsAfter).forEach(requestId => {
+        const before = requestsBefore[requestId];
+        const after = requestsAfter[requestId];
+        if (isEqual(before, after)) return;
+
+        if (!before) {
+            if (after.requester !== user.handle || after.status !== 'pending') {
+                errors.push('Access requests can only be filed as yourself');
+            }
+            return;
+        }
+
+        // Requesters may mark their own resolved requests as seen
+        if (after && before.requester === user.handle && isEqual({ ...before, notified: true }, { ...after, notified: true })) {
+            return;
+        }
+
+        const record = current.permissions[before.characterId];
+        if (!record || !canManageRecord(record, current.groups, user.handle)) {
+            errors.push(`Not allowed to resolve requests for ${before.characterId}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Check that every new or changed access request has a UUID and a known status
+ */
+function validateRequestShapes(current, next) {
+    const before = indexById(current.accessRequests);
+    const changed = (next.accessRequests || []).filter(request => !isEqual(before[request?.id], request));
+
+    return changed.some(request => !UUID_PATTERN.test(String(request?.id)) || !REQUEST_STATUSES.includes(request?.status))
+        ? ['Access requests need a UUID and a known status']
+        : [];
+}
+
+/**
+ * Mirror of the client's manage check: owner, or an active co-owner grant directly or through a group
+ */
+function canManageRecord(record, groups, handle) {
+    if (record.owner === handle) return true;
+
+    return Object.entries(record.grants || {}).some(([grantee, grant]) => {
+        if (!isGrantActive(grant) || ROLE_ORDER.indexOf(grant.role) < ROLE_ORDER.indexOf('co-owner')) return false;
+        return grantCovers(grantee, groups, handle);
+    });
+}
+
+/**
+ * Check whether a grant key names the user, directly or through a group they belong to
+ */
+function grantCovers(grantee, groups, handle) {
+    if (grantee.startsWith(GROUP_PREFIX)) {
+        const group = (groups || {})[grantee.slice(GROUP_PREFIX.length)];
+        return Boolean(group && group.members.includes(handle));
+    }
+    return grantee === handle;
+}
+
+/**
+ * Entry rules in a protected lorebook are managed like its character's grants. In any other
+ * lorebook, users change their own rules and only add rules to books in their own worlds folder.
+ */
+function canManageEntryRule(data, worldName, before, after, handle) {
+    const records = Object.values(data.permissions || {}).filter(record => (record.lorebooks || []).includes(worldName));
+    if (records.length > 0) {
+        return records.some(record => canManageRecord(record, data.groups, handle));
+    }
+
+    if (before) {
+        return before.owner === handle && (!after || after.owner === handle);
+    }
+    return after.owner === handle && ownsWorldFile(handle, worldName);
+}
+
+/**
+ * Check that a lorebook is a file of the user's own, not a link to someone else's
+ */
+function ownsWorldFile(handle, worldName) {
+    const file = getWorldFileName(worldName);
+    if (!file) return false;
+
+    try {
+        return !fs.lstatSync(path.join(dataRoot, handle, 'worlds', file)).isSymbolicLink();
+    } catch (error) {
+        return false;
+    }
+}
+
+function isGrantActive(grant) {
+    if (grant.expires && Date.parse(grant.expires) <= Date.now()) return false;
+    if (grant.maxUses && (grant.uses || 0) >= grant.maxUses) return false;
+    return true;
+}
+
+/**
+ * Check that a record only changed in ways any user may make: the usage counters of
+ * the user's own grants going up by one, inactive grants being removed and the modified timestamp
+ */
+function isHousekeepingChange(before, after, groups, handle) {
+    const { grants: grantsBefore, modified: modifiedBefore, ...restBefore } = before;
+    const { grants: grantsAfter, modified: modifiedAfter, ...restAfter } = after;
+    if (!isEqual(restBefore, restAfter)) return false;
+
+    return unionKeys(grantsBefore, grantsAfter).every(grantee => {
+        const grantBefore = (grantsBefore || {})[grantee];
+        const grantAfter = (grantsAfter || {})[grantee];
+
+        if (!grantAfter) return Boolean(grantBefore) && !isGrantActive(grantBefore);
+        if (!grantBefore) return false;
+
+        const { uses: usesBefore, ...restGrantBefore } = grantBefore;
+        const { uses: usesAfter, ...restGrantAfter } = grantAfter;
+        if (!isEqual(restGrantBefore, restGrantAfter)) return false;
+
+        const added = (usesAfter || 0) - (usesBefore || 0);
+        return added === 0 || (added === 1 && grantCovers(grantee, groups, handle));
+    });
+}
+
+function withoutGrants(record) {
+    const { grants, modified, ...rest } = record;
+    return rest;
+}
+
+function indexById(list) {
+    const index = {};
+    (list || []).forEach(item => {
+        index[item.id] = item;
+    });
+    return index;
+}
+
+function unionKeys(a, b) {
+    return [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+    init,
+    exit,
+    info
+};
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+
+const pluginId = 'lorebook-protection';
+const GROUP_PREFIX = 'group:';
+const EDIT_ROLES = ['editor', 'co-owner'];
+
+// Older copies found in an owner's worlds folder are kept next to the private file under this suffix
+const CONFLICT_SUFFIX = '.conflict-';
+
+/**
+ * Move protected lorebooks into per-owner private storage and expose them to
+ * permitted users only as symlinks in their worlds/ folder.
+ *
+ * Layout, relative to the data root:
+ *   <user>/worlds/<book>.json                            - a user's lorebooks (or links to private copies)
+ *   _lorebook-protection/private/<owner>/<book>.json     - the real file of a protected lorebook
+ *   _lorebook-protection/private/<owner>/<book>.json.conflict-<time> - an older copy set aside
+ *   _lorebook-protection/links.json                      - links created by this module
+ *
+ * Returns a report of every change made.
+ */
+async function reconcileLinks(dataRoot, data) {
+    const storeDir = path.join(dataRoot, '_lorebook-protection');
+    const privateRoot = path.join(storeDir, 'private');
+    const statePath = path.join(storeDir, 'links.json');
+
+    const report = { moved: [], linked: [], removed: [], adopted: [], restored: [], conflicts: [], missing: [], errors: [] };
+    const users = await listUsers(dataRoot);
+    const managed = await readJson(statePath, {});
+    const desired = getDesiredLinks(data, users);
+
+    await fs.promises.mkdir(privateRoot, { recursive: true });
+
+    // 1. Make sure each protected book lives in private storage
+    for (const book of desired.books.values()) {
+        const privatePath = path.join(privateRoot, book.owner, book.file);
+        const ownerPath = path.join(dataRoot, book.owner, 'worlds', book.file);
+
+        try {
+            const ownerStat = await lstatOrNull(ownerPath);
+            const privateStat = await lstatOrNull(privatePath);
+
+            if (ownerStat && !ownerStat.isSymbolicLink()) {
+                // First protection, or SillyTavern replaced the owner's link when saving
+                if (!privateStat || ownerStat.mtimeMs >= privateStat.mtimeMs) {
+                    await fs.promises.mkdir(path.dirname(privatePath), { recursive: true });
+                    await fs.promises.rename(ownerPath, privatePath);
+                    report.moved.push(`${book.owner}/${book.file}`);
+                } else {
+                    // An older copy, such as a restored backup; keep it aside for the owner to compare
+                    await fs.promises.rename(ownerPath, `${privatePath}${CONFLICT_SUFFIX}${Date.now()}`);
+                    report.conflicts.push(`${book.owner}/${book.file}`);
+                }
+            } else if (!privateStat) {
+                report.missing.push(`${book.owner}/${book.file}`);
+                desired.books.delete(book.key);
+            }
+        } catch (error) {
+            report.errors.push(`${book.owner}/${book.file}: ${error.message}`);
+            desired.books.delete(book.key);
+        }
+    }
+
+    // 2. Remove links that are dangling or no longer authorized, adopting edits made through them
+    for (const user of users) {
+        const worldsDir = path.join(dataRoot, user, 'worlds');
+        const files = await readdirOrEmpty(worldsDir);
+
+        for (const file of files) {
+            const linkPath = path.join(worldsDir, file);
+            const linkKey = `${user}/${file}`;
+
+            try {
+                const stat = await fs.promises.lstat(linkPath);
+                const wanted = desired.links.get(linkKey);
+
+                if (stat.isSymbolicLink()) {
+                    const target = path.resolve(worldsDir, await fs.promises.readlink(linkPath));
+                    if (!target.startsWith(privateRoot + path.sep)) continue;
+
+                    const book = wanted && desired.books.get(wanted.bookKey);
+                    const expected = book && path.join(privateRoot, book.owner, book.file);
+                    if (target === expected && await lstatOrNull(target)) continue;
+
+                    await fs.promises.unlink(linkPath);
+                    delete managed[linkKey];
+                    report.removed.push(linkKey);
+                } else if (managed[linkKey]) {
+                    // SillyTavern saves by replacing the file, which turns our link into a copy
+                    const book = wanted && desired.books.get(wanted.bookKey);
+                    if (book && wanted.canEdit) {
+                        const privatePath = path.join(privateRoot, book.owner, book.file);
+                        const privateStat = await lstatOrNull(privatePath);
+                        if (!privateStat || stat.mtimeMs > privateStat.mtimeMs) {
+                            await fs.promises.rename(linkPath, privatePath);
+                            report.adopted.push(linkKey);
+                            continue;
+                        }
+                    }
+                    await fs.promises.unlink(linkPath);
+                    delete managed[linkKey];
+                    report.removed.push(linkKey);
+                }
+            } catch (error) {
+                report.errors.push(`${linkKey}: ${error.message}`);
+            }
+        }
+    }
+
+    // 3. Create missing links for the owner and every permitted user
+    for (const [linkKey, link] of desired.links) {
+        const book = desired.books.get(link.bookKey);
+        if (!book) continue;
+
+        const linkPath = path.join(dataRoot, link.user, 'worlds', book.file);
+        const privatePath = path.join(privateRoot, book.owner, book.file);
+
+        try {
+            const stat = await lstatOrNull(linkPath);
+            if (stat?.isSymbolicLink()) {
+                managed[linkKey] = { owner: book.owner, file: book.file };
+                continue;
+            }
+            if (stat) {
+                // A book of the user's own with the same name; never overwrite it
+                report.conflicts.push(linkKey);
+                continue;
+            }
+
+            await fs.promises.mkdir(path.dirname(linkPath), { recursive: true });
+            await fs.promises.symlink(path.relative(path.dirname(linkPath), privatePath), linkPath);
+            managed[linkKey] = { owner: book.owner, file: book.file };
+            report.linked.push(linkKey);
+        } catch (error) {
+            report.errors.push(`${linkKey}: ${error.message}`);
+        }
+    }
+
+    // 4. Give books that are no longer protected back to their owners
+    for (const owner of await readdirOrEmpty(privateRoot)) {
+        for (const file of await readdirOrEmpty(path.join(privateRoot, owner))) {
+            if (desired.books.has(`${owner}/${file}`) || file.includes(CONFLICT_SUFFIX)) continue;
+
+            const privatePath = path.join(privateRoot, owner, file);
+            const ownerPath = path.join(dataRoot, owner, 'worlds', file);
+
+            try {
+                const stat = await lstatOrNull(ownerPath);
+                if (stat && !stat.isSymbolicLink()) {
+                    report.conflicts.push(`${owner}/${file}`);
+                    continue;
+                }
+                if (stat) await fs.promises.unlink(ownerPath);
+
+                await fs.promises.mkdir(path.dirname(ownerPath), { recursive: true });
+                await fs.promises.rename(privatePath, ownerPath);
+                delete managed[`${owner}/${file}`];
+                report.restored.push(`${owner}/${file}`);
+            } catch (error) {
+                report.errors.push(`${owner}/${file}: ${error.message}`);
+            }
+        }
+    }
+
+    await fs.promises.writeFile(statePath, JSON.stringify(managed, null, 2), 'utf8');
+    return report;
+}
+
+/**
+ * Work out which books are protected and who should see a link to each
+ */
+function getDesiredLinks(data, users) {
+    const books = new Map();
+    const links = new Map();
+    const userSet = new Set(users);
+
+    Object.values(data.permissions || {}).forEach(record => {
+        if (!record.owner || !userSet.has(record.owner)) return;
+
+        const allowed = new Map([[record.owner, true]]);
+        Object.entries(record.grants || {}).forEach(([grantee, grant]) => {
+            if (!isGrantActive(grant)) return;
+
+            const canEdit = EDIT_ROLES.includes(grant.role);
+            const members = grantee.startsWith(GROUP_PREFIX)
+                ? ((data.groups || {})[grantee.slice(GROUP_PREFIX.length)]?.members || [])
+                : [grantee];
+
+            members.filter(member => userSet.has(member)).forEach(member => {
+                allowed.set(member, allowed.get(member) || canEdit);
+            });
+        });
+
+        (record.lorebooks || []).forEach(name => {
+            const file = getWorldFileName(name);
+            if (!file) return;
+
+            const bookKey = `${record.owner}/${file}`;
+            books.set(bookKey, { key: bookKey, owner: record.owner, file });
+
+            allowed.forEach((canEdit, user) => {
+                links.set(`${user}/${file}`, { user, bookKey, canEdit });
+            });
+        });
+    });
+
+    return { books, links };
+}
+
+/**
+ * List user handles that have a data directory
+ */
+async function listUsers(dataRoot) {
+    const entries = await fs.promises.readdir(dataRoot, { withFileTypes: true }).catch(() => []);
+    const users = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+        if (await lstatOrNull(path.join(dataRoot, entry.name, 'worlds'))) {
+            users.push(entry.name);
+        }
+    }
+    return users;
+}
+
+/**
+ * Turn a lorebook name into its file name, refusing anything that could escape the worlds folder
+ */
+function getWorldFileName(name) {
+    const clean = String(name).replace(/[\/\\?<>:*|"\x00-\x1f]/g, '').trim();
+    if (!clean || clean === '.' || clean === '..') return null;
+    return `${clean}.json`;
+}
+
+function isGrantActive(grant) {
+    if (grant.expires && Date.parse(grant.expires) <= Date.now()) return false;
+    if (grant.maxUses && (grant.uses || 0) >= grant.maxUses) return false;
+    return true;
+}
+
+async function lstatOrNull(filePath) {
+    try {
+        return await fs.promises.lstat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function readdirOrEmpty(dir) {
+    try {
+        return await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Count the changes in a report
+ */
+function summarizeReport(report) {
+    return Object.entries(report)
+        .filter(([, items]) => items.length > 0)
+        .map(([kind, items]) => `${items.length} ${kind}`)
+        .join(', ') || 'no changes';
+}
+
+// Command line: node symlinks.js reconcile [dataRoot]
+if (require.main === module) {
+    const [command, dataRoot = path.join(process.cwd(), 'data')] = process.argv.slice(2);
+
+    if (command !== 'reconcile') {
+        console.log('Usage: node symlinks.js reconcile [dataRoot]');
+        process.exit(1);
+    }
+
+    readJson(path.join(dataRoot, '_lorebook-protection', 'store.json'), { data: {} })
+        .then(store => reconcileLinks(dataRoot, store.data || {}))
+        .then(report => {
+            console.log(JSON.stringify(report, null, 2));
+            console.log(`[${pluginId}] Reconcile finished: ${summarizeReport(report)}`);
+            process.exit(report.errors.length > 0 ? 2 : 0);
+        })
+        .catch(error => {
+            console.error(`[${pluginId}] Reconcile failed:`, error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    reconcileLinks,
+    summarizeReport,
+    listUsers,
+    getWorldFileName
+};
@@ -0,0 +1,265 @@
+/**
+ * Plain-node checks for the server plugin, run with `npm test`.
+ * Permission changes go through the real routes on a fake router, and lorebook links
+ * are reconciled in a temporary data root; no Express or SillyTavern is needed.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const plugin = require('./index');
+const { reconcileLinks, summarizeReport } = require('./symlinks');
+
+const REQUEST_ID = '123e4567-e89b-42d3-a456-426614174000';
+
+const tests = [];
+let dataRoot = null;
+let router = null;
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+/**
+ * Collect route handlers the way an Express router would
+ */
+function createRouter() {
+    const routes = {};
+    const add = method => (route, fn) => {
+        routes[`${method} ${route}`] = fn;
+    };
+    return { routes, get: add('GET'), put: add('PUT'), post: add('POST') };
+}
+
+/**
+ * Call a route as a user, with the profile SillyTavern's user middleware would attach
+ */
+async function call(method, route, handle, body) {
+    const req = {
+        method,
+        path: route,
+        query: {},
+        body,
+        user: { profile: { handle, admin: handle === 'admin' } }
+    };
+    const res = {
+        statusCode: 200,
+        headersSent: false,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(data) {
+            this.body = data;
+            this.headersSent = true;
+            return this;
+        }
+    };
+
+    await router.routes[`${method} ${route}`](req, res);
+    return res;
+}
+
+/**
+ * Load the shared data as a user, change a copy of it and store it. Returns the status code.
+ */
+async function update(handle, change) {
+    const { body: store } = await call('GET', '/permissions', handle);
+    const data = JSON.parse(JSON.stringify(store.data));
+    change(data);
+    return (await call('PUT', '/permissions', handle, { data, revision: store.revision })).statusCode;
+}
+
+function worldPath(handle, file) {
+    return path.join(dataRoot, handle, 'worlds', file);
+}
+
+function isLink(filePath) {
+    try {
+        return fs.lstatSync(filePath).isSymbolicLink();
+    } catch (error) {
+        return false;
+    }
+}
+
+test('an owner protects a character and its lorebook moves to private storage', async () => {
+    const status = await update('alice', data => {
+        data.permissions.C1 = { owner: 'alice', grants: {}, lorebooks: ['Secret'] };
+    });
+
+    assert.strictEqual(status, 200);
+    assert.ok(isLink(worldPath('alice', 'Secret.json')));
+    assert.ok(fs.existsSync(path.join(dataRoot, '_lorebook-protection', 'private', 'alice', 'Secret.json')));
+    assert.ok(!fs.existsSync(worldPath('bob', 'Secret.json')));
+});
+
+test('only the owner changes grants, and a grant links the book for the grantee', async () => {
+    assert.strictEqual(await update('bob', data => {
+        data.permissions.C1.grants.bob = { role: 'viewer' };
+    }), 403);
+
+    assert.strictEqual(await update('alice', data => {
+        data.permissions.C1.grants.bob = { role: 'viewer', maxUses: 5, uses: 0 };
+    }), 200);
+    assert.ok(isLink(worldPath('bob', 'Secret.json')));
+});
+
+test('a grantee counts one use at a time on their own grant only', async () => {
+    const bump = (grantee, count) => data => {
+        data.permissions.C1.grants[grantee].uses += count;
+    };
+
+    assert.strictEqual(await update('bob', bump('bob', 1)), 200);
+    assert.strictEqual(await update('bob', bump('bob', 2)), 403);
+    assert.strictEqual(await update('carol', bump('bob', 1)), 403);
+    assert.strictEqual(await update('bob', bump('bob', -1)), 403);
+});
+
+test('a co-owner manages grants but cannot add lorebooks to a record or delete it', async () => {
+    fs.writeFileSync(worldPath('alice', 'Diary.json'), '{"entries":{}}');
+    assert.strictEqual(await update('alice', data => {
+        data.permissions.C1.grants.carol = { role: 'co-owner' };
+    }), 200);
+
+    assert.strictEqual(await update('carol', data => {
+        data.permissions.C1.lorebooks.push('Diary');
+    }), 403);
+    assert.ok(!isLink(worldPath('alice', 'Diary.json')));
+    assert.ok(!fs.existsSync(worldPath('carol', 'Diary.json')));
+
+    assert.strictEqual(await update('carol', data => {
+        delete data.permissions.C1;
+    }), 403);
+    assert.ok(isLink(worldPath('alice', 'Secret.json')));
+
+    assert.strictEqual(await update('carol', data => {
+        data.permissions.C1.grants.bob.role = 'editor';
+    }), 200);
+    assert.strictEqual(await update('alice', data => {
+        data.permissions.C1.grants.bob.role = 'viewer';
+        delete data.permissions.C1.grants.carol;
+    }), 200);
+});
+
+test('entry rules in a protected lorebook need manage rights', async () => {
+    const rule = owner => ({ id: `rule-${owner}`, match: 'pattern', value: '/dragon/', owner, allowedUsers: [] });
+
+    assert.strictEqual(await update('bob', data => {
+        data.entryProtections.Secret = [rule('bob')];
+    }), 403);
+    assert.strictEqual(await update('alice', data => {
+        data.entryProtections.Secret = [rule('alice')];
+    }), 200);
+    assert.strictEqual(await update('bob', data => {
+        delete data.entryProtections.Secret;
+    }), 403);
+});
+
+test('entry rules in other lorebooks are limited to books of the user\'s own', async () => {
+    fs.writeFileSync(worldPath('bob', 'Notes.json'), '{"entries":{}}');
+    const rule = { id: 'rule-notes', match: 'uid', value: '1', owner: 'bob', allowedUsers: [] };
+
+    assert.strictEqual(await update('bob', data => {
+        data.entryProtections.Notes = [rule];
+    }), 200);
+    assert.strictEqual(await update('bob', data => {
+        data.entryProtections.Elsewhere = [{ ...rule, id: 'rule-elsewhere' }];
+    }), 403);
+});
+
+test('access requests need a UUID and a known status, even from an admin', async () => {
+    const request = (id, status) => ({ id, requester: 'carol', characterId: 'C1', status });
+
+    assert.strictEqual(await update('carol', data => {
+        data.accessRequests.push(request('<b>1</b>', 'pending'));
+    }), 403);
+    assert.strictEqual(await update('admin', data => {
+        data.accessRequests.push(request(REQUEST_ID, '<b>pending</b>'));
+    }), 403);
+    assert.strictEqual(await update('carol', data => {
+        data.accessRequests.push(request(REQUEST_ID, 'pending'));
+    }), 200);
+});
+
+test('only admins change the security level', async () => {
+    assert.strictEqual(await update('alice', data => {
+        data.securityLevel = 'low';
+    }), 403);
+    assert.strictEqual(await update('admin', data => {
+        data.securityLevel = 'high';
+    }), 200);
+});
+
+test('revoking a grant removes the grantee\'s link', async () => {
+    assert.strictEqual(await update('alice', data => {
+        delete data.permissions.C1.grants.bob;
+    }), 200);
+    assert.ok(!fs.existsSync(worldPath('bob', 'Secret.json')));
+    assert.ok(isLink(worldPath('alice', 'Secret.json')));
+});
+
+test('reconcileLinks changes nothing once the links match the permissions', async () => {
+    const { body: store } = await call('GET', '/permissions', 'admin');
+    const report = await reconcileLinks(dataRoot, store.data);
+
+    assert.strictEqual(summarizeReport(report), 'no changes');
+});
+
+test('reconcileLinks sets an older copy of a protected book aside instead of deleting it', async () => {
+    const { body: store } = await call('GET', '/permissions', 'admin');
+    const ownerPath = worldPath('alice', 'Secret.json');
+    fs.unlinkSync(ownerPath);
+    fs.writeFileSync(ownerPath, '{"entries":{"1":{"content":"backup"}}}');
+    fs.utimesSync(ownerPath, new Date(0), new Date(0));
+
+    const report = await reconcileLinks(dataRoot, store.data);
+    assert.deepStrictEqual(report.conflicts, ['alice/Secret.json']);
+    assert.ok(isLink(ownerPath));
+
+    const privateDir = path.join(dataRoot, '_lorebook-protection', 'private', 'alice');
+    const aside = fs.readdirSync(privateDir).filter(file => file.startsWith('Secret.json.conflict-'));
+    assert.strictEqual(aside.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(privateDir, aside[0]), 'utf8'), '{"entries":{"1":{"content":"backup"}}}');
+
+    const again = await reconcileLinks(dataRoot, store.data);
+    assert.strictEqual(summarizeReport(again), 'no changes');
+});
+
+test('reconcileLinks restores a link that was deleted by hand', async () => {
+    const { body: store } = await call('GET', '/permissions', 'admin');
+    fs.unlinkSync(worldPath('alice', 'Secret.json'));
+
+    const report = await reconcileLinks(dataRoot, store.data);
+    assert.deepStrictEqual(report.errors, []);
+    assert.ok(isLink(worldPath('alice', 'Secret.json')));
+});
+
+async function run() {
+    dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'lorebook-protection-'));
+    ['admin', 'alice', 'bob', 'carol'].forEach(handle => fs.mkdirSync(path.join(dataRoot, handle, 'worlds'), { recursive: true }));
+    fs.writeFileSync(worldPath('alice', 'Secret.json'), '{"entries":{}}');
+
+    router = createRouter();
+    await plugin.init(router, { dataRoot });
+
+    let failed = 0;
+    try {
+        for (const { name, fn } of tests) {
+            try {
+                await fn();
+                console.log(`ok - ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`not ok - ${name}\n  ${error.message}`);
+            }
+        }
+    } finally {
+        await plugin.exit();
+        fs.rmSync(dataRoot, { recursive: true, force: true });
+    }
+
+    console.log(`\n${tests.length - failed} of ${tests.length} passed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run();